@@ -1,12 +1,19 @@
 // Coachboard v1 - local single-page app (no build tools)
-// Features: YouTube URL load, timestamp notes, roster CRUD + CSV import/export, athlete tagging, telestration per timestamp.
+// Features: YouTube URL or local video file, timestamp notes, roster CRUD + CSV import/export, athlete tagging, telestration per timestamp.
 // Limitations: YouTube cannot do true reverse playback (we implement step-back seek).
 
 /* global YT */
 const $ = (id) => document.getElementById(id);
 
-const LS_KEY = "coachboard_v1_state";
-const DEFAULT_STEP = 5; // seconds
+// localStorage keys from before IndexedDB; only read once, by migrateFromLocalStorage.
+const LS_KEY = "coachboard_v1_state"; // legacy single-slot state
+const LIBRARY_KEY = "coachboard_v1_library";
+const ROSTER_KEY = "coachboard_v1_roster";
+const TEAMS_KEY = "coachboard_v1_teams";
+const PROJECT_KEY_PREFIX = "coachboard_v1_project_";
+const SETTINGS_KEY = "coachboard_v1_settings"; // per-browser preferences, not part of any project
+const SCHEMA_VERSION = 4; // project file format; bump together with a MIGRATIONS step
+const DEFAULT_STEP = 5; // seconds; default for settings.stepSize
 
 // -------------------------
 // Helpers
@@ -21,11 +28,33 @@ function uidNumeric() {
   return Number(base + rand);
 }
 
-function fmtTime(sec){
-  sec = Math.max(0, Math.floor(sec));
-  const m = Math.floor(sec / 60);
-  const s = sec % 60;
-  return `${m}:${String(s).padStart(2,'0')}`;
+// `tenths` adds one decimal (1:23.4) for sub-second positions.
+function fmtTime(sec, tenths = false){
+  const t10 = Math.max(0, Math.round(sec * 10));
+  const whole = tenths ? Math.floor(t10 / 10) : Math.max(0, Math.floor(sec));
+  const m = Math.floor(whole / 60);
+  const s = whole % 60;
+  return `${m}:${String(s).padStart(2,'0')}${tenths ? `.${t10 % 10}` : ""}`;
+}
+
+// Timestamp positions: whole seconds stay "1:23", sub-second ones show "1:23.4".
+const fmtPos = (sec) => fmtTime(sec, !Number.isInteger(sec));
+
+function fmtDuration(sec){
+  sec = Math.max(0, Math.round(sec));
+  return sec < 60 ? `${sec}s` : fmtTime(sec);
+}
+
+// "1:05", "1:02:03", "65" or "65.5" -> seconds. NaN when it isn't a time.
+function parseTimecode(v){
+  if (typeof v === "number") return Number.isFinite(v) && v >= 0 ? v : NaN;
+  const s = (v ?? "").toString().trim();
+  if (/^\d+(\.\d+)?$/.test(s)) return Number(s);
+  const m = s.match(/^(?:(\d+):)?(\d{1,2}):(\d{1,2}(?:\.\d+)?)$/);
+  if (!m) return NaN;
+  const [, h, min, sec] = m;
+  if (Number(sec) >= 60 || (h !== undefined && Number(min) >= 60)) return NaN;
+  return Number(h || 0) * 3600 + Number(min) * 60 + Number(sec);
 }
 
 function parseYouTubeId(url){
@@ -52,12 +81,19 @@ function downloadText(filename, text, mime="text/plain"){
 
 function norm(s){ return (s||"").toString().trim().toLowerCase(); }
 
-// Basic CSV (no quoted commas support beyond MVP). For v1 local it's OK.
-// If you expect commas in names, we can upgrade to a real CSV parser.
+function fileSlug(s){
+  return norm(s).replace(/[^a-z0-9]+/g, "_").replace(/^_+|_+$/g, "") || "untitled";
+}
+
+function readJSON(key){
+  try { return JSON.parse(localStorage.getItem(key) || "null"); } catch { return null; }
+}
+
+// CSV per RFC 4180: quoted fields may hold the delimiter, quotes ("") and line breaks.
 function toCSV(rows, headers){
   const esc = (v) => {
     const s = (v ?? "").toString();
-    if (/[",\n]/.test(s)) return `"${s.replaceAll('"','""')}"`;
+    if (/[",\r\n]/.test(s)) return `"${s.replaceAll('"','""')}"`;
     return s;
   };
   const out = [];
@@ -68,657 +104,5449 @@ function toCSV(rows, headers){
   return out.join("\n");
 }
 
-function fromCSV(text){
-  // Handles quotes minimally (double-quote escaping), still not perfect for edge-cases but ok for v1.
-  const lines = text.replace(/\r\n/g, "\n").replace(/\r/g, "\n").split("\n").filter(l => l.trim().length);
-  if (!lines.length) return {headers:[], rows:[]};
+// Pick the delimiter (comma, semicolon or tab) that appears most in the first line, ignoring quoted text.
+function detectDelimiter(text){
+  const counts = {",": 0, ";": 0, "\t": 0};
+  let inQ = false;
+  for (const ch of text){
+    if (ch === '"') inQ = !inQ;
+    else if (!inQ && (ch === "\n" || ch === "\r")) break;
+    else if (!inQ && ch in counts) counts[ch]++;
+  }
+  return Object.keys(counts).reduce((best, d) => counts[d] > counts[best] ? d : best, ",");
+}
+
+// Returns {headers, rows, delimiter}. Rows are objects keyed by header; blank lines are skipped.
+function fromCSV(text, delimiter){
+  text = (text || "").replace(/^\uFEFF/, "");
+  const delim = delimiter || detectDelimiter(text);
 
-  const parseLine = (line) => {
-    const cells = [];
-    let cur = "";
-    let inQ = false;
-    for (let i=0;i<line.length;i++){
-      const ch = line[i];
+  const records = [];
+  let row = [];
+  let cur = "";
+  let inQ = false;
+  for (let i=0;i<text.length;i++){
+    const ch = text[i];
+    if (inQ){
       if (ch === '"'){
-        if (inQ && line[i+1] === '"'){ cur += '"'; i++; continue; }
-        inQ = !inQ;
-        continue;
-      }
-      if (ch === "," && !inQ){
-        cells.push(cur);
-        cur = "";
-        continue;
-      }
-      cur += ch;
+        if (text[i+1] === '"'){ cur += '"'; i++; }
+        else inQ = false;
+      } else cur += ch;
+      continue;
     }
-    cells.push(cur);
-    return cells.map(c => c.trim());
-  };
-
-  const headers = parseLine(lines[0]).map(h => h.trim());
-  const rows = [];
-  for (let i=1;i<lines.length;i++){
-    const cells = parseLine(lines[i]);
-    const row = {};
-    headers.forEach((h, idx) => row[h] = cells[idx] ?? "");
-    rows.push(row);
+    if (ch === '"'){ inQ = true; continue; }
+    if (ch === delim){ row.push(cur); cur = ""; continue; }
+    if (ch === "\r" || ch === "\n"){
+      if (ch === "\r" && text[i+1] === "\n") i++;
+      row.push(cur);
+      records.push(row);
+      row = [];
+      cur = "";
+      continue;
+    }
+    cur += ch;
+  }
+  if (cur.length || row.length){
+    row.push(cur);
+    records.push(row);
   }
-  return {headers, rows};
+
+  const nonEmpty = records.filter(r => r.some(c => c.trim().length));
+  if (!nonEmpty.length) return {headers:[], rows:[], delimiter: delim};
+
+  const headers = nonEmpty[0].map(h => h.trim());
+  const rows = nonEmpty.slice(1).map(cells => {
+    const obj = {};
+    headers.forEach((h, idx) => obj[h] = (cells[idx] ?? "").trim());
+    return obj;
+  });
+  return {headers, rows, delimiter: delim};
 }
 
 // -------------------------
 // State
 // -------------------------
+// Everything a single game needs. The roster is not part of a project: it is shared
+// across the library and only merged into `state` while the app is running.
+function blankProject(fields = {}){
+  return {
+    schemaVersion: SCHEMA_VERSION,
+    projectId: uidNumeric(),
+    name: "Untitled project",
+    opponent: "",
+    date: "",
+    videoSource: "youtube", // "youtube" | "local"
+    youtubeUrl: "",
+    youtubeId: "",
+    localVideoName: "", // file name only; the file itself must be re-opened each session
+    homeTeamId: null,
+    awayTeamId: null,
+    timestamps: [], // {id,time,end?,title,description,taggedAthleteIds:[],drawings:[]}
+    reels: [], // {id,name,tsIds:[]} ordered playlists of timestamp IDs
+    tagCategories: defaultTagCategories(), // {id,name,color,options:[{id,label}]}; timestamps store ts.tags = {categoryId:[optionId]}
+    ...fields
+  };
+}
+
 let state = {
-  projectId: uidNumeric(),
-  youtubeUrl: "",
-  youtubeId: "",
-  roster: [], // {id, first, last, position, jersey, team}
-  timestamps: [] // {id,time,title,description,taggedAthleteIds:[],drawings:[]}
+  ...blankProject(),
+  roster: [], // {id, first, last, position, jersey, teamId, classYear, height, weight, side, status, photo?}
+  teams: [] // {id, name, kind: "ours"|"opponent"|"unknown", color}
+};
+
+// Library index: one entry per saved project, used for listing without loading each one.
+let library = {
+  activeId: null,
+  projects: [] // {id,name,opponent,date,videoLabel,timestampCount,updatedAt}
 };
 
-let player = null;
-let playerReady = false;
+let player = null; // active player adapter (see "Player adapters")
+let ytPlayer = null; // raw YT.Player instance
+let playerReady = false; // YouTube player finished initializing
 let pendingVideoId = null;
+let localVideoUrl = null; // object URL for the currently opened local file
 let selectedTsId = null;
+let pendingMarkIn = null; // "mark in" time waiting for a "mark out" when no timestamp is selected
+let loopRange = null; // {start,end} while a clip range is looping
 
 // telestration state
 let drawEnabled = false;
 let selectedColor = '#00E5FF';
+let selectedTool = "pen"; // select | pen | line | arrow | dashed | ellipse | rect | text | erase
+let selectedDrawingId = null; // item picked with the select tool
+let dragState = null; // {start, original points, history snapshot} while moving a selected item
+let syncDraw = false; // new drawings get a time window starting at the current video time
+let strokeStartedAt = 0; // performance.now() at pointerdown, for per-point timing (`t` in ms)
 let drawings = [];
 let activeStroke = null;
 
 // -------------------------
-// Persistence
+// Project file format (schema version, migrations, validation)
 // -------------------------
-function loadState(){
-  const raw = localStorage.getItem(LS_KEY);
-  if (!raw) return;
-  try {
-    const obj = JSON.parse(raw);
-    if (obj && typeof obj === "object"){
-      state = {...state, ...obj};
-      // defensive: ensure arrays
-      state.roster = Array.isArray(state.roster) ? state.roster : [];
-      state.timestamps = Array.isArray(state.timestamps) ? state.timestamps : [];
+// Each step upgrades a project object from version N to N+1. Files without
+// `schemaVersion` are v1: the original single-slot export (YouTube only, no name/reels/tags).
+const MIGRATIONS = {
+  1: (p) => ({
+    ...p,
+    name: p.name || "Imported project",
+    videoSource: p.videoSource || "youtube",
+    reels: p.reels ?? [],
+    tagCategories: p.tagCategories ?? defaultTagCategories()
+  }),
+  // v3: teams became entities; athletes reference them by teamId instead of free-text `team`.
+  2: (p) => {
+    const out = {...p, homeTeamId: null, awayTeamId: null};
+    if (Array.isArray(p.roster)){
+      out.roster = p.roster.map(a => isObj(a) ? {...a} : a);
+      out.teams = teamsFromText(out.roster, [], "unknown");
     }
-  } catch {}
-}
+    return out;
+  },
+  // v4: timestamps carry a comment thread next to the single description.
+  3: (p) => ({
+    ...p,
+    timestamps: Array.isArray(p.timestamps) ? p.timestamps.map(ts => isObj(ts) ? {...ts, comments: ts.comments ?? []} : ts) : p.timestamps
+  })
+};
 
-function saveState(){
-  localStorage.setItem(LS_KEY, JSON.stringify(state));
-}
+const DRAW_TOOLS = ["pen", "erase", "line", "arrow", "dashed", "ellipse", "rect", "text"];
 
-// -------------------------
-// Tabs
-// -------------------------
-function setTab(tab){
-  const filmBtn = $("tab-film");
-  const rosterBtn = $("tab-roster");
-  const filmPanel = $("panel-film");
-  const rosterPanel = $("panel-roster");
-
-  const isFilm = tab === "film";
-  filmBtn.classList.toggle("is-active", isFilm);
-  rosterBtn.classList.toggle("is-active", !isFilm);
-  filmBtn.setAttribute("aria-selected", String(isFilm));
-  rosterBtn.setAttribute("aria-selected", String(!isFilm));
-  filmPanel.classList.toggle("is-active", isFilm);
-  rosterPanel.classList.toggle("is-active", !isFilm);
+const isObj = (v) => !!v && typeof v === "object" && !Array.isArray(v);
+const isStr = (v) => typeof v === "string";
 
-  // Resize overlay when switching back to film
-  if (isFilm) setTimeout(resizeCanvas, 60);
+// Coerce a field to a string, noting the repair when it wasn't one.
+function fixString(obj, key, path, repairs, fallback = ""){
+  const v = obj[key];
+  if (isStr(v)) return;
+  obj[key] = (v === undefined || v === null) ? fallback : String(v);
+  if (v !== undefined && v !== null) repairs.push(`${path}.${key}: expected text, converted ${JSON.stringify(v)}.`);
 }
 
-// -------------------------
-// Roster
-// -------------------------
-function rosterLabel(a){
-  return `#${a.jersey || "?"} ${a.position || ""} — ${a.first || ""} ${a.last || ""}`.trim();
+// `reassigned` (optional Map) collects duplicate ID -> the new IDs given to its later holders.
+function fixId(obj, path, repairs, usedIds, reassigned){
+  const id = Number(obj.id);
+  if (obj.id === undefined || obj.id === null || !Number.isFinite(id) || usedIds.has(id)){
+    const was = obj.id;
+    obj.id = uidNumeric() + usedIds.size; // keep generated IDs unique within one pass
+    if (reassigned && usedIds.has(id)) reassigned.set(id, [...(reassigned.get(id) || []), obj.id]);
+    repairs.push(`${path}.id: ${was === undefined ? "missing" : "duplicate or invalid"} — assigned ${obj.id}.`);
+  } else {
+    obj.id = id;
+  }
+  usedIds.add(obj.id);
 }
 
-function rosterSearchIndex(a){
-  return [
-    a.id, a.first, a.last, a.position, a.jersey, a.team
-  ].map(norm).join(" ");
+function validateDrawing(raw, path, repairs){
+  if (!isObj(raw)){ repairs.push(`${path}: not a drawing — removed.`); return null; }
+  const d = {...raw};
+  if (!DRAW_TOOLS.includes(d.tool)){
+    repairs.push(`${path}.tool: unknown tool ${JSON.stringify(d.tool)} — drawn as pen.`);
+    d.tool = "pen";
+  }
+  const pts = Array.isArray(d.points) ? d.points : [];
+  d.points = pts.filter(p => isObj(p) && Number.isFinite(Number(p.x)) && Number.isFinite(Number(p.y)))
+    .map(p => ({...p, x: Number(p.x), y: Number(p.y)}));
+  if (d.points.length !== pts.length) repairs.push(`${path}.points: dropped ${pts.length - d.points.length} invalid points.`);
+  const badPressure = d.points.filter(p => p.pressure !== undefined && !(Number(p.pressure) >= 0 && Number(p.pressure) <= 1));
+  badPressure.forEach(p => { delete p.pressure; });
+  if (badPressure.length) repairs.push(`${path}.points: cleared ${badPressure.length} invalid pressure values.`);
+  const needed = d.tool === "text" ? 1 : 2;
+  if (d.points.length < needed || (d.tool === "text" && !isStr(d.text))){
+    repairs.push(`${path}: not enough data to draw — removed.`);
+    return null;
+  }
+  if (!isStr(d.color)) d.color = "#00E5FF";
+  if (!Number.isFinite(Number(d.size))) d.size = 4;
+  return d;
 }
 
-function renderRosterTable(){
-  const q = norm($("rosterSearch").value);
-  const tbody = $("rosterTbody");
-  tbody.innerHTML = "";
+// Replies must point at another comment of the same timestamp; anything else starts its own thread.
+function validateComments(list, path, repairs){
+  if (!Array.isArray(list)){
+    if (list !== undefined) repairs.push(`${path}: expected a list — cleared.`);
+    return [];
+  }
+  const usedIds = new Set();
+  const out = [];
+  list.forEach((raw, i) => {
+    const p = `${path}[${i}]`;
+    if (!isObj(raw)){ repairs.push(`${p}: not a comment — removed.`); return; }
+    const c = {...raw};
+    fixId(c, p, repairs, usedIds);
+    fixString(c, "text", p, repairs);
+    if (!c.text.trim()){ repairs.push(`${p}: empty comment — removed.`); return; }
+    fixString(c, "author", p, repairs);
+    if (!isStr(c.createdAt) || Number.isNaN(Date.parse(c.createdAt))){
+      if (c.createdAt !== undefined) repairs.push(`${p}.createdAt: ${JSON.stringify(c.createdAt)} is not a date — cleared.`);
+      c.createdAt = "";
+    }
+    fixRef(c, "replyTo", p, repairs);
+    c.resolved = c.resolved === true;
+    out.push(c);
+  });
+  for (const c of out){
+    if (c.replyTo !== null && (c.replyTo === c.id || !usedIds.has(c.replyTo))){
+      repairs.push(`${path}: comment ${c.id} replies to unknown comment ${c.replyTo} — kept as its own thread.`);
+      c.replyTo = null;
+    }
+  }
+  return out;
+}
 
-  const rows = state.roster
-    .slice()
-    .sort((a,b) => String(a.team||"").localeCompare(String(b.team||"")) || String(a.last||"").localeCompare(String(b.last||"")) )
-    .filter(a => !q || rosterSearchIndex(a).includes(q));
+function validateTimestamp(raw, path, repairs, usedIds){
+  if (!isObj(raw)){ repairs.push(`${path}: not a timestamp object — removed.`); return null; }
+  const ts = {...raw};
+  const time = parseTimecode(ts.time);
+  if (!Number.isFinite(time)){
+    repairs.push(`${path}.time: ${JSON.stringify(ts.time)} is not a time — timestamp removed.`);
+    return null;
+  }
+  if (time !== ts.time) repairs.push(`${path}.time: ${JSON.stringify(ts.time)} converted to ${time}.`);
+  ts.time = time;
 
-  for (const a of rows){
-    const tr = document.createElement("tr");
-    tr.innerHTML = `
-      <td class="muted">${a.id}</td>
-      <td>${escapeHtml(a.first||"")}</td>
-      <td>${escapeHtml(a.last||"")}</td>
-      <td>${escapeHtml(a.position||"")}</td>
-      <td>${escapeHtml(a.jersey||"")}</td>
-      <td>${escapeHtml(a.team||"")}</td>
-      <td style="text-align:right">
-        <button class="btn btn--danger" data-del="${a.id}">Delete</button>
-      </td>
-    `;
-    tbody.appendChild(tr);
+  if (ts.end !== undefined && ts.end !== null){
+    const end = parseTimecode(ts.end);
+    if (!Number.isFinite(end) || end <= time){
+      repairs.push(`${path}.end: ${JSON.stringify(ts.end)} is not after the start — range removed.`);
+      delete ts.end;
+    } else ts.end = end;
+  } else delete ts.end;
+
+  fixId(ts, path, repairs, usedIds);
+  fixString(ts, "title", path, repairs);
+  fixString(ts, "description", path, repairs);
+  if (ts.notesPrivate !== undefined && typeof ts.notesPrivate !== "boolean"){
+    repairs.push(`${path}.notesPrivate: expected true/false — set to ${Boolean(ts.notesPrivate)}.`);
+    ts.notesPrivate = Boolean(ts.notesPrivate);
   }
 
-  // bind deletes
-  tbody.querySelectorAll("button[data-del]").forEach(btn => {
-    btn.onclick = () => {
-      const id = Number(btn.getAttribute("data-del"));
-      // remove athlete from roster
-      state.roster = state.roster.filter(x => Number(x.id) !== id);
-      // also remove tags from timestamps
-      for (const ts of state.timestamps){
-        ts.taggedAthleteIds = (ts.taggedAthleteIds||[]).filter(aid => Number(aid) !== id);
+  if (!Array.isArray(ts.taggedAthleteIds)){
+    if (ts.taggedAthleteIds !== undefined) repairs.push(`${path}.taggedAthleteIds: expected a list — cleared.`);
+    ts.taggedAthleteIds = [];
+  }
+  const ids = ts.taggedAthleteIds.map(Number).filter(Number.isFinite);
+  if (ids.length !== ts.taggedAthleteIds.length) repairs.push(`${path}.taggedAthleteIds: dropped invalid athlete IDs.`);
+  ts.taggedAthleteIds = ids;
+
+  if (!Array.isArray(ts.drawings)){
+    if (ts.drawings !== undefined) repairs.push(`${path}.drawings: expected a list — cleared.`);
+    ts.drawings = [];
+  }
+  ts.drawings = ts.drawings.map((d, i) => validateDrawing(d, `${path}.drawings[${i}]`, repairs)).filter(Boolean);
+  ts.comments = validateComments(ts.comments, `${path}.comments`, repairs);
+
+  if (ts.tags !== undefined){
+    if (!isObj(ts.tags)){
+      repairs.push(`${path}.tags: expected category → options — cleared.`);
+      delete ts.tags;
+    } else {
+      for (const [k, v] of Object.entries(ts.tags)){
+        if (!Array.isArray(v) || !v.every(isStr)){
+          repairs.push(`${path}.tags.${k}: expected a list of option IDs — removed.`);
+          delete ts.tags[k];
+        }
       }
-      saveState();
-      renderRosterTable();
-      renderTimestampList();
-      renderAthleteSearchResults(); // refresh search result
-    };
+    }
+  }
+  return ts;
+}
+
+function validateRoster(list, repairs, path = "roster", reassigned = null){
+  if (list === undefined || list === null) return [];
+  if (!Array.isArray(list)){
+    repairs.push(`${path}: expected a list of athletes — ignored.`);
+    return [];
+  }
+  const usedIds = new Set();
+  const out = [];
+  list.forEach((raw, i) => {
+    const p = `${path}[${i}]`;
+    if (!isObj(raw)){ repairs.push(`${p}: not an athlete — removed.`); return; }
+    const a = {...raw};
+    fixId(a, p, repairs, usedIds, reassigned);
+    for (const k of ["first", "last", "position", "jersey", "classYear", "height", "weight"]) fixString(a, k, p, repairs);
+    fixRef(a, "teamId", p, repairs);
+    for (const [k, choices, fallback] of [["side", ATHLETE_SIDES, ""], ["status", ATHLETE_STATUSES, "active"]]){
+      const v = choiceKey(a[k], choices);
+      if (a[k] !== undefined && a[k] !== null && a[k] !== "" && !v) repairs.push(`${p}.${k}: unknown or ambiguous value ${JSON.stringify(a[k])} — cleared.`);
+      a[k] = v || fallback;
+    }
+    if (a.photo !== undefined && !isPhotoSrc(a.photo)){
+      if (a.photo) repairs.push(`${p}.photo: ${isPhotoUrl(a.photo) ? "links to a web image instead of storing it" : "not an image"} — removed.`);
+      delete a.photo;
+    }
+    out.push(a);
   });
+  return out;
 }
 
-function addAthlete(){
-  const first = $("r-first").value.trim();
-  const last = $("r-last").value.trim();
-  const position = $("r-pos").value.trim();
-  const jersey = $("r-jersey").value.trim();
-  const team = $("r-team").value.trim();
+// Optional numeric reference (teamId, homeTeamId...): a number or null.
+function fixRef(obj, key, path, repairs){
+  const v = obj[key];
+  if (v === undefined || v === null || v === ""){ obj[key] = null; return; }
+  if (Number.isFinite(Number(v))){ obj[key] = Number(v); return; }
+  repairs.push(`${path}.${key}: ${JSON.stringify(v)} is not an ID — cleared.`);
+  obj[key] = null;
+}
 
-  if (!first || !last){
-    $("rosterStatus").textContent = "First and last name are required.";
-    return;
+function validateTeams(list, repairs){
+  if (list === undefined || list === null) return [];
+  if (!Array.isArray(list)){
+    repairs.push("teams: expected a list of teams — ignored.");
+    return [];
   }
+  const usedIds = new Set();
+  const out = [];
+  list.forEach((raw, i) => {
+    const p = `teams[${i}]`;
+    if (!isObj(raw)){ repairs.push(`${p}: not a team — removed.`); return; }
+    const t = {...raw};
+    fixId(t, p, repairs, usedIds);
+    fixString(t, "name", p, repairs);
+    if (!t.name) t.name = `Team ${i + 1}`;
+    if (!TEAM_KINDS[t.kind]){
+      if (t.kind !== undefined) repairs.push(`${p}.kind: ${JSON.stringify(t.kind)} is unknown — using opponent.`);
+      t.kind = "opponent";
+    }
+    if (!isStr(t.color)) t.color = TAG_COLORS[i % TAG_COLORS.length];
+    out.push(t);
+  });
+  return out;
+}
 
-  const id = uidNumeric();
-  state.roster.push({ id, first, last, position, jersey, team });
-  saveState();
+// Athletes pointing at a team that isn't in `teams` lose the reference.
+function dropUnknownTeamRefs(roster, teams, repairs, path = "roster"){
+  const ids = new Set(teams.map(t => t.id));
+  roster.forEach((a, i) => {
+    if (a.teamId === null || ids.has(a.teamId)) return;
+    repairs.push(`${path}[${i}].teamId: team ${a.teamId} doesn't exist — cleared.`);
+    a.teamId = null;
+  });
+}
 
-  $("r-first").value = "";
-  $("r-last").value = "";
-  $("r-pos").value = "";
-  $("r-jersey").value = "";
-  $("r-team").value = "";
+function validateTagCategories(list, repairs){
+  if (!Array.isArray(list)){
+    repairs.push("tagCategories: missing or invalid — default categories used.");
+    return defaultTagCategories();
+  }
+  const out = [];
+  list.forEach((c, i) => {
+    const p = `tagCategories[${i}]`;
+    if (!isObj(c) || !isStr(c.id) || !isStr(c.name) || !Array.isArray(c.options)){
+      repairs.push(`${p}: needs id, name and options — removed.`);
+      return;
+    }
+    const options = c.options.filter(o => isObj(o) && isStr(o.id) && isStr(o.label));
+    if (options.length !== c.options.length) repairs.push(`${p}.options: dropped options without id/label.`);
+    out.push({...c, color: isStr(c.color) ? c.color : TAG_COLORS[i % TAG_COLORS.length], options});
+  });
+  return out;
+}
 
-  $("rosterStatus").textContent = `Added athlete ID ${id}.`;
-  renderRosterTable();
+function validateReels(list, repairs){
+  if (!Array.isArray(list)){
+    if (list !== undefined) repairs.push("reels: expected a list — cleared.");
+    return [];
+  }
+  const usedIds = new Set();
+  const out = [];
+  list.forEach((r, i) => {
+    const p = `reels[${i}]`;
+    if (!isObj(r)){ repairs.push(`${p}: not a reel — removed.`); return; }
+    const reel = {...r};
+    fixId(reel, p, repairs, usedIds);
+    fixString(reel, "name", p, repairs, "Untitled reel");
+    const ids = Array.isArray(reel.tsIds) ? reel.tsIds.map(Number).filter(Number.isFinite) : [];
+    if (!Array.isArray(reel.tsIds) || ids.length !== reel.tsIds.length) repairs.push(`${p}.tsIds: dropped invalid timestamp IDs.`);
+    reel.tsIds = ids;
+    out.push(reel);
+  });
+  return out;
 }
 
-function exportRosterCSV(){
-  const headers = ["id","first","last","position","jersey","team"];
-  const csv = toCSV(state.roster, headers);
-  downloadText("roster.csv", csv, "text/csv");
+// Migrate + validate a project object (import file or stored project).
+// errors: the file can't be used at all. repairs: what was fixed or dropped to make it usable.
+// The returned project includes `roster` only when the input had one.
+// Tags on an athlete ID that several athletes shared can't tell which one was meant, so they tag all of them.
+function retagSharedAthleteIds(timestamps, reassigned, repairs){
+  if (!reassigned.size) return;
+  for (const ts of timestamps){
+    const shared = ts.taggedAthleteIds.filter(id => reassigned.has(id));
+    if (!shared.length) continue;
+    ts.taggedAthleteIds.push(...shared.flatMap(id => reassigned.get(id)));
+    repairs.push(`Timestamp "${ts.title || fmtTime(ts.time)}": athlete ID ${shared.join(", ")} was shared by several athletes — tagged all of them; check the tags.`);
+  }
 }
 
-async function importRosterCSV(){
-  const file = await pickFile(".csv,text/csv");
-  if (!file) return;
-  const text = await file.text();
-  const {rows} = fromCSV(text);
+function validateProject(input){
+  const errors = [];
+  const repairs = [];
+  if (!isObj(input)) return {project: null, errors: ["The file is not a Coachboard project (expected a JSON object)."], repairs};
 
-  // Accept both your requested columns and common variants.
-  // Required-ish: first/last (or name/lastname).
-  const mapped = [];
-  for (const r of rows){
-    const first = (r.first ?? r.firstname ?? r.name ?? "").toString().trim();
-    const last  = (r.last ?? r.lastname ?? r.surname ?? "").toString().trim();
-    const position = (r.position ?? r.pos ?? "").toString().trim();
-    const jersey = (r.jersey ?? r.number ?? r.jerseyNumber ?? "").toString().trim();
-    const team = (r.team ?? r.squad ?? "").toString().trim();
-    const idRaw = (r.id ?? "").toString().trim();
-    const id = idRaw ? Number(idRaw) : uidNumeric();
+  let version = input.schemaVersion ?? 1;
+  if (!Number.isInteger(version) || version < 1) errors.push(`schemaVersion: ${JSON.stringify(input.schemaVersion)} is not a valid version.`);
+  else if (version > SCHEMA_VERSION) errors.push(`schemaVersion: file is v${version}, this version of Coachboard reads up to v${SCHEMA_VERSION}.`);
+  if (!("timestamps" in input) && !("roster" in input)) errors.push("timestamps: missing — this doesn't look like a Coachboard project.");
+  if (errors.length) return {project: null, errors, repairs};
 
-    if (!first && !last) continue;
-    mapped.push({id, first, last, position, jersey, team});
+  let obj = JSON.parse(JSON.stringify(input));
+  while (version < SCHEMA_VERSION){
+    obj = MIGRATIONS[version](obj);
+    repairs.push(`Upgraded file format v${version} → v${version + 1}.`);
+    version++;
   }
+  obj.schemaVersion = SCHEMA_VERSION;
 
-  // Merge strategy: keep existing IDs, add new; if same ID exists, overwrite with imported row.
-  const byId = new Map(state.roster.map(a => [Number(a.id), a]));
-  for (const a of mapped){
-    byId.set(Number(a.id), a);
+  const pid = Number(obj.projectId);
+  if (!Number.isFinite(pid)){
+    obj.projectId = uidNumeric();
+    repairs.push("projectId: missing or invalid — assigned a new one.");
+  } else obj.projectId = pid;
+
+  for (const k of ["name", "opponent", "date", "youtubeUrl", "youtubeId", "localVideoName"]) fixString(obj, k, "project", repairs);
+  if (!obj.name) obj.name = "Untitled project";
+  fixRef(obj, "homeTeamId", "project", repairs);
+  fixRef(obj, "awayTeamId", "project", repairs);
+  if (!["youtube", "local"].includes(obj.videoSource)){
+    repairs.push(`videoSource: ${JSON.stringify(obj.videoSource)} is unknown — using YouTube.`);
+    obj.videoSource = "youtube";
   }
-  state.roster = Array.from(byId.values());
-  saveState();
-  $("rosterStatus").textContent = `Imported ${mapped.length} rows (merged by ID).`;
-  // Force a full UI re-sync so tags/search reflect imported roster immediately.
-  renderRosterTable();
-  renderTimestampList();
-  renderTaggedAthletes();
-  renderAthleteSearchResults();
-  setStatus("Roster imported and UI refreshed.");
-  // If a timestamp is selected, re-select it to refresh tag panels immediately.
-  if (selectedTsId) selectTimestamp(selectedTsId);
-}
 
-function clearRoster(){
-  state.roster = [];
-  // also clear tags
-  for (const ts of state.timestamps){
-    ts.taggedAthleteIds = [];
+  if (!Array.isArray(obj.timestamps)){
+    if (obj.timestamps !== undefined) repairs.push("timestamps: expected a list — started empty.");
+    obj.timestamps = [];
   }
-  saveState();
-  renderRosterTable();
-  renderTimestampList();
-  renderAthleteSearchResults();
-  $("rosterStatus").textContent = "Roster cleared.";
+  const usedIds = new Set();
+  obj.timestamps = obj.timestamps.map((ts, i) => validateTimestamp(ts, `timestamps[${i}]`, repairs, usedIds)).filter(Boolean);
+  obj.reels = validateReels(obj.reels, repairs);
+  obj.tagCategories = validateTagCategories(obj.tagCategories, repairs);
+  if ("roster" in obj){
+    const reassigned = new Map();
+    obj.roster = validateRoster(obj.roster, repairs, "roster", reassigned);
+    retagSharedAthleteIds(obj.timestamps, reassigned, repairs);
+  }
+  if ("teams" in obj){
+    obj.teams = validateTeams(obj.teams, repairs);
+    if (obj.roster) dropUnknownTeamRefs(obj.roster, obj.teams, repairs);
+  }
+
+  return {project: obj, errors, repairs};
+}
+
+function showValidationReport(title, intro, lines){
+  const shown = lines.slice(0, 200);
+  openModal(title, `
+    <div class="muted">${escapeHtml(intro)}</div>
+    <ul class="issueList">${shown.map(l => `<li>${escapeHtml(l)}</li>`).join("")}</ul>
+    ${lines.length > shown.length ? `<div class="muted">…and ${lines.length - shown.length} more.</div>` : ""}
+  `);
 }
 
 // -------------------------
-// Timestamps
+// Persistence (IndexedDB)
 // -------------------------
-function escapeHtml(s){
-  return (s||"").toString().replace(/[&<>"']/g, c => ({'&':'&amp;','<':'&lt;','>':'&gt;','"':'&quot;',"'":'&#39;'}[c]));
-}
+// One IndexedDB database holds everything but settings:
+//   meta        "library", "roster", "teams"
+//   projects    project fields by projectId; `timestamps` is reduced to the ordered list of IDs
+//   timestamps  one record per timestamp, key [projectId, id], so an edit rewrites only that timestamp
+// Values are JSON text. The whole library is read into `stored` at startup so reads stay synchronous;
+// writes are diffed against it, queued, and committed after SAVE_DEBOUNCE in a single transaction
+// (all of a save lands or none of it does).
+const DB_NAME = "coachboard_v1";
+const DB_VERSION = 1;
+const DB_STORES = ["meta", "projects", "timestamps"];
+const SAVE_DEBOUNCE = 400; // ms of quiet before writing
+const SAVE_MAX_WAIT = 2000; // ms; long drags and typing still get saved
+const STORAGE_WARN = 0.8; // share of the browser quota that turns the meter red
 
-function tsSearchIndex(ts){
-  const tagLabels = (ts.taggedAthleteIds||[])
-    .map(id => state.roster.find(a => Number(a.id)===Number(id)))
-    .filter(Boolean)
-    .map(a => rosterLabel(a))
-    .join(" ");
-  return [ts.title, ts.description, tagLabels].map(norm).join(" ");
+let db = null;
+const stored = new Map(); // projectId -> {doc, ts: Map(tsId -> JSON)}, as last queued
+const storedMeta = {}; // meta key -> JSON, as last queued
+let writeQueue = new Map(); // "store|key" -> {store, key, value}; value undefined deletes
+let pendingSave = null; // `state` object with unsaved changes (saveState only marks it)
+let saveTimer = null;
+let saveQueuedAt = 0;
+let writing = false; // a transaction is in flight
+let saveError = null; // last failed write; cleared by the next one that succeeds
+
+function idbRequest(req){
+  return new Promise((resolve, reject) => {
+    req.onsuccess = () => resolve(req.result);
+    req.onerror = () => reject(req.error);
+  });
 }
 
-function renderTimestampList(){
-  const list = $("tsList");
-  const q = norm($("tsFilter").value);
-  list.innerHTML = "";
+async function openStorage(){
+  if (typeof indexedDB === "undefined") throw new Error("IndexedDB is not available in this browser.");
+  const open = indexedDB.open(DB_NAME, DB_VERSION);
+  open.onupgradeneeded = () => {
+    for (const name of DB_STORES) if (!open.result.objectStoreNames.contains(name)) open.result.createObjectStore(name);
+  };
+  db = await idbRequest(open);
 
-  const sorted = state.timestamps.slice().sort((a,b)=>a.time-b.time)
-    .filter(ts => !q || tsSearchIndex(ts).includes(q));
+  const tx = db.transaction(DB_STORES);
+  const all = (name) => Promise.all([idbRequest(tx.objectStore(name).getAllKeys()), idbRequest(tx.objectStore(name).getAll())]);
+  const [[metaKeys, metaValues], [projectIds, docs], [tsKeys, tsValues]] = await Promise.all(DB_STORES.map(all));
+  metaKeys.forEach((k, i) => { storedMeta[k] = metaValues[i]; });
 
-  for (const ts of sorted){
-    const div = document.createElement("div");
-    div.className = "ts" + (ts.id === selectedTsId ? " is-selected" : "");
-    const athleteCount = (ts.taggedAthleteIds||[]).length;
-    const tags = (ts.taggedAthleteIds||[])
-      .map(id => state.roster.find(a => Number(a.id)===Number(id)))
-      .filter(Boolean)
-      .slice(0,3)
-      .map(a => `<span class="pill">${escapeHtml(rosterLabel(a))}</span>`)
-      .join("");
+  const tsByProject = new Map();
+  tsKeys.forEach(([pid, id], i) => {
+    if (!tsByProject.has(pid)) tsByProject.set(pid, new Map());
+    tsByProject.get(pid).set(id, tsValues[i]);
+  });
+  projectIds.forEach((pid, i) => {
+    const all = tsByProject.get(pid) || new Map();
+    const ids = JSON.parse(docs[i]).timestamps || [];
+    stored.set(pid, {doc: docs[i], ts: new Map(ids.filter(id => all.has(id)).map(id => [id, all.get(id)]))});
+  });
+}
 
-    div.innerHTML = `
-      <div class="ts__top">
-        <div class="ts__title">${fmtTime(ts.time)} — ${escapeHtml(ts.title || "Untitled")}</div>
-        <div class="pill">${athleteCount} athletes</div>
-      </div>
-      <div class="muted">${escapeHtml((ts.description||"").slice(0,110))}${(ts.description||"").length>110 ? "…" : ""}</div>
-      <div class="ts__meta">${tags}${athleteCount>3 ? `<span class="pill">+${athleteCount-3}</span>` : ""}</div>
-    `;
+const storedJSON = (key) => { try { return JSON.parse(storedMeta[key] ?? "null"); } catch { return null; } };
 
-    div.onclick = () => {
-      selectTimestamp(ts.id);
-      if (player){
-        player.seekTo(ts.time, true);
-        player.pauseVideo();
-      }
-    };
+function queueWrite(store, key, value){
+  writeQueue.set(`${store}|${JSON.stringify(key)}`, {store, key, value});
+  scheduleSave();
+}
 
-    list.appendChild(div);
-  }
+function writeMeta(key, value){
+  const json = JSON.stringify(value);
+  if (storedMeta[key] === json) return;
+  storedMeta[key] = json;
+  queueWrite("meta", key, json);
 }
 
-function addTimestampAtCurrent(){
-  if (!player) return;
-  const time = Math.floor(player.getCurrentTime());
-  const ts = {
-    id: uidNumeric(),
-    time,
-    title: "New coaching point",
-    description: "",
-    taggedAthleteIds: [],
-    drawings: []
-  };
-  state.timestamps.push(ts);
-  saveState();
-  setStatus(`Added timestamp @ ${fmtTime(time)}`);
-  renderTimestampList();
-  selectTimestamp(ts.id);
+// Stored projects go through the same migration/repair path as imported files.
+function readProject(id){
+  commitPendingSave();
+  const entry = stored.get(Number(id));
+  if (!entry) return null;
+  const obj = JSON.parse(entry.doc);
+  obj.timestamps = Array.from(entry.ts.values(), json => JSON.parse(json));
+  const {project, errors, repairs} = validateProject(obj);
+  if (errors.length) console.warn(`Project ${id} could not be loaded:`, errors);
+  else if (repairs.length) console.warn(`Project ${id} repaired on load:`, repairs);
+  return project;
 }
 
-function selectTimestamp(id){
-  selectedTsId = id;
-  const ts = state.timestamps.find(t => t.id === id);
-  if (!ts) return;
+function projectMeta(p){
+  return {
+    id: p.projectId,
+    name: p.name || "Untitled project",
+    opponent: p.opponent || "",
+    date: p.date || "",
+    homeTeamId: p.homeTeamId ?? null,
+    awayTeamId: p.awayTeamId ?? null,
+    videoLabel: p.videoSource === "local" ? (p.localVideoName || "Local file") : (p.youtubeUrl || ""),
+    timestampCount: (p.timestamps || []).length,
+    updatedAt: Date.now()
+  };
+}
 
-  $("tsTitle").value = ts.title || "";
-  $("tsDesc").value = ts.description || "";
-  $("tsTimePill").textContent = fmtTime(ts.time);
+function saveLibrary(){
+  writeMeta("library", library);
+}
 
-  // drawings
-  drawings = ts.drawings || [];
-  redrawAll();
+// Write a project (without roster) and refresh its library entry. Only timestamps that changed are queued.
+function writeProject(p){
+  const {timestamps = [], ...fields} = p;
+  const prev = stored.get(p.projectId) || {doc: "", ts: new Map()};
+  const ts = new Map();
+  let changed = false;
+  for (const t of timestamps){
+    const json = JSON.stringify(t);
+    ts.set(t.id, json);
+    if (prev.ts.get(t.id) === json) continue;
+    queueWrite("timestamps", [p.projectId, t.id], json);
+    changed = true;
+  }
+  for (const id of prev.ts.keys()){
+    if (ts.has(id)) continue;
+    queueWrite("timestamps", [p.projectId, id]);
+    changed = true;
+  }
+  const doc = JSON.stringify({...fields, timestamps: Array.from(ts.keys())});
+  if (doc !== prev.doc){
+    queueWrite("projects", p.projectId, doc);
+    changed = true;
+  }
+  stored.set(p.projectId, {doc, ts});
 
-  // tags
-  renderTaggedAthletes();
+  const idx = library.projects.findIndex(x => x.id === p.projectId);
+  if (changed || idx < 0){
+    const meta = projectMeta(p);
+    if (idx >= 0) library.projects[idx] = meta; else library.projects.push(meta);
+  }
+  saveLibrary();
+}
 
-  // refresh list selection highlight
-  renderTimestampList();
-  renderAthleteSearchResults();
+function deleteStoredProject(id){
+  const entry = stored.get(id);
+  if (!entry) return;
+  for (const tsId of entry.ts.keys()) queueWrite("timestamps", [id, tsId]);
+  queueWrite("projects", id);
+  stored.delete(id);
 }
 
-function saveTimestampEdits(){
-  if (!selectedTsId) return;
-  const ts = state.timestamps.find(t => t.id === selectedTsId);
-  if (!ts) return;
-  ts.title = $("tsTitle").value.trim();
-  ts.description = $("tsDesc").value.trim();
-  saveState();
-  renderTimestampList();
-  setStatus("Saved timestamp.");
+// Replace the project part of `state`, keeping the shared roster and teams.
+function applyProject(obj){
+  const {roster: _roster, teams: _teams, ...project} = obj || {};
+  state = {...blankProject(), ...project, roster: state.roster, teams: state.teams};
+  state.timestamps = Array.isArray(state.timestamps) ? state.timestamps : [];
+  state.reels = Array.isArray(state.reels) ? state.reels : [];
+  state.tagCategories = Array.isArray(state.tagCategories) ? state.tagCategories : defaultTagCategories();
+  library.activeId = state.projectId;
 }
 
-function deleteTimestamp(){
-  if (!selectedTsId) return;
-  state.timestamps = state.timestamps.filter(t => t.id !== selectedTsId);
-  selectedTsId = null;
-  $("tsTitle").value = "";
-  $("tsDesc").value = "";
-  $("tsTimePill").textContent = "—";
-  $("athleteTagList").innerHTML = "";
-  drawings = [];
-  redrawAll();
+// One-time copy of localStorage data (the library, or the older single-slot LS_KEY) into IndexedDB.
+// localStorage is only cleared once the copy has been committed, and projects that fail validation
+// (unreadable, or saved by a newer version) stay there untouched. Returns a status message.
+async function migrateFromLocalStorage(){
+  if (storedMeta.library !== undefined) return "";
+  const lib = readJSON(LIBRARY_KEY);
+  const legacy = readJSON(LS_KEY);
+  if (!isObj(lib) && !isObj(legacy)) return "";
+
+  const moved = []; // localStorage keys whose data was written
+  const failed = [];
+  if (isObj(lib) && Array.isArray(lib.projects)){
+    library = {activeId: lib.activeId ?? null, projects: lib.projects.filter(isObj)};
+    for (const key of Object.keys(localStorage).filter(k => k.startsWith(PROJECT_KEY_PREFIX))){
+      const {project, errors} = validateProject(readJSON(key));
+      if (project){
+        writeProject(project);
+        moved.push(key);
+      } else {
+        console.warn(`${key} was not moved to the browser database:`, errors);
+        failed.push(key);
+      }
+    }
+    writeMeta("roster", readJSON(ROSTER_KEY) ?? []);
+    writeMeta("teams", readJSON(TEAMS_KEY) ?? []);
+    moved.push(LIBRARY_KEY, ROSTER_KEY, TEAMS_KEY);
+  } else {
+    if (!isObj(legacy)) return ""; // a library without a project list; leave it in localStorage
+    const {roster, ...fields} = legacy;
+    const {project, errors} = validateProject({...blankProject(), ...fields, name: fields.name || "My project"});
+    if (project){
+      library.activeId = project.projectId;
+      writeProject(project);
+      moved.push(LS_KEY);
+    } else {
+      console.warn(`${LS_KEY} was not moved to the browser database:`, errors);
+      failed.push(LS_KEY);
+    }
+    writeMeta("roster", Array.isArray(roster) ? roster : []);
+  }
+  saveLibrary();
+  await flushSaves();
+  if (saveError) return "";
+  for (const key of moved) localStorage.removeItem(key);
+  const n = library.projects.filter(m => stored.has(m.id)).length;
+  const msg = `Moved ${n} project${n === 1 ? "" : "s"} to the browser database.`;
+  if (!failed.length) return msg;
+  return `${msg} ${failed.length} could not be read and ${failed.length === 1 ? "was" : "were"} left in localStorage (${failed.join(", ")}); see the console.`;
+}
+
+function loadState(){
+  const lib = storedJSON("library");
+  if (isObj(lib) && Array.isArray(lib.projects)){
+    // entries whose project never made it into the database are dropped
+    library = {activeId: lib.activeId ?? null, projects: lib.projects.filter(m => isObj(m) && stored.has(m.id))};
+  }
+
+  const repairs = [];
+  state.teams = validateTeams(storedJSON("teams"), repairs);
+  state.roster = validateRoster(storedJSON("roster"), repairs);
+  teamsFromText(state.roster, state.teams, "unknown"); // rosters saved before teams existed; the coach picks the side
+  dropUnknownTeamRefs(state.roster, state.teams, repairs);
+  if (repairs.length) console.warn("Roster repaired on load:", repairs);
+
+  const active = readProject(library.activeId) || (library.projects[0] && readProject(library.projects[0].id));
+  applyProject(active || blankProject());
   saveState();
-  renderTimestampList();
-  setStatus("Deleted timestamp.");
 }
 
-function jumpToSelected(){
-  if (!selectedTsId || !player) return;
-  const ts = state.timestamps.find(t => t.id === selectedTsId);
-  if (!ts) return;
-  player.seekTo(ts.time, true);
-  player.pauseVideo();
+// Marks the open project as changed; the write happens in flushSaves.
+function saveState(){
+  if (pendingSave && pendingSave !== state) commitPendingSave(); // another project was opened: keep the one we left
+  pendingSave = state;
+  scheduleSave();
+  renderProjectPill();
+  liveSyncChanges();
+  presentUpdate();
+}
+
+function commitPendingSave(){
+  if (!pendingSave) return;
+  const {roster, teams, ...project} = pendingSave;
+  pendingSave = null;
+  writeMeta("roster", roster);
+  writeMeta("teams", teams);
+  writeProject(project);
+}
+
+function scheduleSave(){
+  const now = Date.now();
+  if (!saveTimer) saveQueuedAt = now;
+  clearTimeout(saveTimer);
+  saveTimer = setTimeout(flushSaves, Math.max(0, Math.min(SAVE_DEBOUNCE, saveQueuedAt + SAVE_MAX_WAIT - now)));
+}
+
+async function flushSaves(){
+  clearTimeout(saveTimer);
+  saveTimer = null;
+  commitPendingSave();
+  if (writing || !writeQueue.size) return; // an in-flight write picks the queue up when it finishes
+  if (!db){ reportSaveFailure(new Error("the browser database is not available")); return; }
+
+  const batch = writeQueue;
+  writeQueue = new Map();
+  writing = true;
+  try {
+    await new Promise((resolve, reject) => {
+      const tx = db.transaction(DB_STORES, "readwrite");
+      tx.oncomplete = resolve;
+      tx.onabort = () => reject(tx.error || new Error("the save was interrupted"));
+      try {
+        for (const {store, key, value} of batch.values()){
+          if (value === undefined) tx.objectStore(store).delete(key);
+          else tx.objectStore(store).put(value, key);
+        }
+      } catch (err){
+        tx.abort(); // nothing from this batch is kept
+        reject(err);
+      }
+    });
+    if (saveError) clearSaveFailure();
+    updateStorageMeter();
+  } catch (err){
+    for (const [k, op] of batch) if (!writeQueue.has(k)) writeQueue.set(k, op); // retried with the next save
+    reportSaveFailure(err);
+  } finally {
+    writing = false;
+  }
+  if (writeQueue.size && !saveError) scheduleSave();
+}
+
+// Changes no started transaction holds: waiting behind an in-flight write, or left over from a failed one.
+const hasUnsavedChanges = () => !!saveError || !!pendingSave || writeQueue.size > 0;
+
+function reportSaveFailure(err){
+  const first = !saveError;
+  saveError = err;
+  console.warn("Save failed:", err);
+  const text = err?.name === "QuotaExceededError"
+    ? "Browser storage is full, so your latest changes are not saved."
+    : `Saving failed (${err?.message || err}), so your latest changes are not saved.`;
+  $("saveWarningText").textContent = `${text} Export the project now to keep them, then free space by deleting old projects or athlete photos.`;
+  $("saveWarning").style.display = "";
+  setStatus("Save failed — export your project now.");
+  if (first){
+    openModal("Changes not saved", `<div>${escapeHtml(text)}</div><div class="muted">Export the project to a file now so nothing is lost. Saving is retried with your next change.</div>`, [
+      {label: "Export now", primary: true, onClick: () => { exportProject(); closeModal(); }}
+    ]);
+  }
+}
+
+function clearSaveFailure(){
+  saveError = null;
+  $("saveWarning").style.display = "none";
+  setStatus("Saved.");
+}
+
+function fmtBytes(n){
+  if (n >= 1024 ** 3) return `${(n / 1024 ** 3).toFixed(1)} GB`;
+  if (n >= 1024 ** 2) return `${(n / 1024 ** 2).toFixed(1)} MB`;
+  return `${Math.ceil(n / 1024)} KB`;
+}
+
+// Projects tab: this app's data, plus the browser's usage/quota for the page when it reports them.
+async function updateStorageMeter(){
+  if (!$("storageMeter")) return;
+  let bytes = Object.values(storedMeta).reduce((n, v) => n + v.length, 0);
+  for (const {doc, ts} of stored.values()){
+    bytes += doc.length;
+    for (const json of ts.values()) bytes += json.length;
+  }
+  let estimate = null;
+  try { estimate = await navigator.storage?.estimate?.(); } catch {}
+  const share = estimate?.quota ? estimate.usage / estimate.quota : 0;
+  $("storageMeterFill").style.width = `${Math.min(100, share * 100).toFixed(1)}%`;
+  $("storageMeter").classList.toggle("is-full", share >= STORAGE_WARN);
+  $("storageMeterText").textContent = `Projects and roster: ${fmtBytes(bytes)}` +
+    (estimate?.quota ? ` • browser storage ${fmtBytes(estimate.usage)} of ${fmtBytes(estimate.quota)} (${(share * 100).toFixed(1)}%)` : "");
+}
+
+// Apply a change to every stored project other than the open one (e.g. roster deletes).
+function updateOtherProjects(fn){
+  for (const meta of library.projects){
+    if (meta.id === state.projectId) continue;
+    const p = readProject(meta.id);
+    if (!p) continue;
+    fn(p);
+    writeProject(p);
+  }
 }
 
 // -------------------------
-// Athlete tagging on timestamp
+// Settings
 // -------------------------
-function renderTaggedAthletes(){
-  const wrap = $("athleteTagList");
-  wrap.innerHTML = "";
-  const ts = state.timestamps.find(t => t.id === selectedTsId);
-  if (!ts) return;
+const DEFAULT_SETTINGS = {
+  stepSize: DEFAULT_STEP, // seconds for the step buttons
+  frameRate: 30, // assumed fps of local files, for single-frame steps
+  playbackRate: 1, // base speed; J/L shuttle multiplies it
+  shortcuts: {}, // {actionId: [combo]} overrides of SHORTCUTS defaults
+  userName: "", // "who am I": comment author and name in live sessions
+  liveServer: "ws://localhost:8787" // last relay address used (see relay/server.js)
+};
+let settings = {...DEFAULT_SETTINGS};
 
-  for (const id of (ts.taggedAthleteIds||[])){
-    const a = state.roster.find(x => Number(x.id) === Number(id));
-    const label = a ? rosterLabel(a) : `ID ${id}`;
-    const pill = document.createElement("span");
-    pill.className = "pill";
-    pill.textContent = label;
-    pill.title = "Click to remove";
-    pill.style.cursor = "pointer";
-    pill.onclick = () => {
-      ts.taggedAthleteIds = (ts.taggedAthleteIds||[]).filter(x => Number(x) !== Number(id));
-      saveState();
-      renderTaggedAthletes();
-      renderTimestampList();
-      renderAthleteSearchResults();
-    };
-    wrap.appendChild(pill);
+function loadSettings(){
+  const saved = readJSON(SETTINGS_KEY);
+  settings = {...DEFAULT_SETTINGS, ...(isObj(saved) ? saved : {})};
+  const num = (v, lo, hi, fallback) => Number.isFinite(Number(v)) ? Math.min(hi, Math.max(lo, Number(v))) : fallback;
+  settings.stepSize = num(settings.stepSize, 0.1, 60, DEFAULT_STEP);
+  settings.frameRate = num(settings.frameRate, 1, 120, DEFAULT_SETTINGS.frameRate);
+  settings.playbackRate = PLAYBACK_RATES.includes(Number(settings.playbackRate)) ? Number(settings.playbackRate) : 1;
+  settings.shortcuts = Object.fromEntries(Object.entries(isObj(settings.shortcuts) ? settings.shortcuts : {})
+    .filter(([, keys]) => Array.isArray(keys) && keys.every(isStr)));
+  if (!isStr(settings.userName)) settings.userName = "";
+  if (!isStr(settings.liveServer)) settings.liveServer = DEFAULT_SETTINGS.liveServer;
+}
+
+function saveSettings(){
+  localStorage.setItem(SETTINGS_KEY, JSON.stringify(settings));
+}
+
+// -------------------------
+// Tabs
+// -------------------------
+const TABS = ["film", "roster", "reels", "projects"];
+
+function setTab(tab){
+  for (const t of TABS){
+    const on = t === tab;
+    $(`tab-${t}`).classList.toggle("is-active", on);
+    $(`tab-${t}`).setAttribute("aria-selected", String(on));
+    $(`panel-${t}`).classList.toggle("is-active", on);
   }
+
+  // Resize overlay when switching back to film
+  if (tab === "film") setTimeout(resizeCanvas, 60);
+  if (tab === "projects") renderProjectList();
+  if (tab === "reels") renderReels();
 }
 
-function renderAthleteSearchResults(){
-  const q = norm($("athSearch").value);
-  const box = $("athResults");
-  box.innerHTML = "";
+// -------------------------
+// Teams
+// -------------------------
+const TEAM_KINDS = {ours: "Our team", opponent: "Opponent", unknown: "Side not set"}; // unknown: made from old free-text teams
+let rosterTeamFilter = "all"; // roster tab: "all" | "none" | team ID
+let athleteTeamFilter = "all"; // tag picker: "all" | "ours" | "opponent" | team ID
 
-  if (!selectedTsId){
-    box.innerHTML = `<div class="athRow"><div class="athLabel"><div class="athMain">Select a timestamp</div><div class="athSub">Tag athletes per timestamp</div></div></div>`;
+function getTeam(id, teams = state.teams){
+  if (id === null || id === undefined) return null;
+  return teams.find(t => t.id === Number(id)) || null;
+}
+
+function teamName(a){
+  return getTeam(a.teamId)?.name || "";
+}
+
+function findTeamByName(name, teams = state.teams){
+  const n = norm(name);
+  return n ? teams.find(t => norm(t.name) === n) || null : null;
+}
+
+// Without an explicit kind the first team is ours and later ones are opponents.
+function createTeam(name, kind, teams = state.teams){
+  const team = {
+    id: uidNumeric() + teams.length,
+    name: name.trim(),
+    kind: kind || (teams.some(t => t.kind === "ours") ? "opponent" : "ours"),
+    color: TAG_COLORS[teams.length % TAG_COLORS.length]
+  };
+  teams.push(team);
+  return team;
+}
+
+function ensureTeam(name, teams = state.teams, kind){
+  return findTeamByName(name, teams) || createTeam(name, kind, teams);
+}
+
+// Older rosters kept the team as free text on each athlete; turn those into team entities.
+function teamsFromText(roster, teams, kind){
+  for (const a of roster){
+    if (!isObj(a) || !("team" in a)) continue;
+    if (isStr(a.team) && a.team.trim() && (a.teamId === undefined || a.teamId === null)) a.teamId = ensureTeam(a.team, teams, kind).id;
+    delete a.team;
+  }
+  return teams;
+}
+
+// filter: "all" | "none" | "ours" | "opponent" | a team ID
+function teamFilterMatch(a, filter){
+  if (filter === "all") return true;
+  if (filter === "none") return a.teamId === null || a.teamId === undefined;
+  if (TEAM_KINDS[filter]) return getTeam(a.teamId)?.kind === filter;
+  return Number(a.teamId) === Number(filter);
+}
+
+function teamOptions(selected, blank){
+  return (blank !== undefined ? `<option value="">${blank}</option>` : "") +
+    state.teams.map(t => `<option value="${t.id}" ${Number(selected) === t.id ? "selected" : ""}>${escapeHtml(t.name)}${t.kind === "opponent" ? " (opp.)" : ""}</option>`).join("");
+}
+
+// Pill tinted with the athlete's team color.
+function athletePill(a, label = rosterLabel(a)){
+  const team = getTeam(a.teamId);
+  return `<span class="pill${team ? " teamPill" : ""}"${team ? ` style="--team:${escapeHtml(team.color)}" title="${escapeHtml(team.name)}"` : ""}>${escapeHtml(label)}</span>`;
+}
+
+// Team <select>s live in the roster, film and projects tabs; keep them in step with state.teams.
+function renderTeamSelects(){
+  const fill = (id, html, value) => {
+    const el = $(id);
+    if (!el) return;
+    el.innerHTML = html;
+    el.value = value;
+    if (el.selectedIndex < 0) el.selectedIndex = 0;
+  };
+  fill("r-team", teamOptions(null, "No team"), TEAM_KINDS[rosterTeamFilter] || rosterTeamFilter === "all" || rosterTeamFilter === "none" ? "" : rosterTeamFilter);
+  fill("rosterTeamFilter", `<option value="all">All teams</option>${teamOptions(null)}<option value="none">No team</option>`, rosterTeamFilter);
+  // the open project's matchup goes first in the tag picker
+  const matchup = [["Home", state.homeTeamId], ["Away", state.awayTeamId]].filter(([, id]) => getTeam(id));
+  const others = state.teams.filter(t => !matchup.some(([, id]) => id === t.id));
+  fill("athTeamFilter", `
+    <option value="all">All teams</option><option value="ours">Our teams</option><option value="opponent">Opponents</option>
+    ${matchup.map(([label, id]) => `<option value="${id}">${label}: ${escapeHtml(getTeam(id).name)}</option>`).join("")}
+    ${others.map(t => `<option value="${t.id}">${escapeHtml(t.name)}</option>`).join("")}`, athleteTeamFilter);
+  fill("p-home", teamOptions(null, "Home team —"), $("p-home")?.value || "");
+  fill("p-away", teamOptions(null, "Away team —"), $("p-away")?.value || "");
+}
+
+function renderTeams(){
+  renderTeamSelects();
+  const box = $("teamList");
+  if (!box) return;
+  if (!state.teams.length){
+    box.innerHTML = `<div class="athRow"><div class="athLabel"><div class="athMain">No teams yet</div><div class="athSub">Add your team and the opponents you scout; each keeps its own roster.</div></div></div>`;
     return;
   }
+  const unsorted = state.teams.filter(t => t.kind === "unknown").length;
+  box.innerHTML = (unsorted ? `<div class="muted">${unsorted} team${unsorted === 1 ? "" : "s"} from an older roster ${unsorted === 1 ? "has" : "have"} no side yet: choose Our team or Opponent below.</div>` : "") +
+    state.teams.map(t => `
+    <div class="athRow teamRow" data-team="${t.id}">
+      <input type="color" class="tagCatRow__color" data-k="color" value="${escapeHtml(t.color)}" title="Team color" />
+      <input class="input" data-k="name" value="${escapeHtml(t.name)}" />
+      <select class="select" data-k="kind" style="width:auto">
+        ${Object.entries(TEAM_KINDS).map(([k, label]) => `<option value="${k}" ${t.kind === k ? "selected" : ""}>${label}</option>`).join("")}
+      </select>
+      <span class="muted teamRow__count">${state.roster.filter(a => a.teamId === t.id).length} athletes</span>
+      <button class="btn btn--danger" data-del>Delete</button>
+    </div>`).join("");
 
-  if (!state.roster.length){
-    box.innerHTML = `<div class="athRow"><div class="athLabel"><div class="athMain">Roster is empty</div><div class="athSub">Go to Roster tab and add athletes first.</div></div></div>`;
+  box.querySelectorAll(".teamRow").forEach(row => {
+    const team = getTeam(row.dataset.team);
+    row.querySelectorAll("[data-k]").forEach(el => el.addEventListener("change", () => {
+      const v = el.value.trim();
+      if (el.dataset.k === "name" && !v) return renderTeams();
+      team[el.dataset.k] = v;
+      saveState();
+      refreshTeamUI();
+    }));
+    row.querySelector("[data-del]").onclick = () => deleteTeam(team.id);
+  });
+}
+
+function refreshTeamUI(){
+  renderTeams();
+  renderRosterTable();
+  renderTimestampList();
+  renderTaggedAthletes();
+  renderAthleteSearchResults();
+  renderProjectList();
+}
+
+function addTeam(){
+  const name = $("t-name").value.trim();
+  if (!name){
+    $("rosterStatus").textContent = "Team name is required.";
+    return;
+  }
+  if (findTeamByName(name)){
+    $("rosterStatus").textContent = `There is already a team called "${name}".`;
     return;
   }
+  const team = createTeam(name, $("t-kind").value);
+  $("t-name").value = "";
+  saveState();
+  $("rosterStatus").textContent = `Added team "${team.name}".`;
+  refreshTeamUI();
+}
 
-  const ts = state.timestamps.find(t => t.id === selectedTsId);
-  const tagged = new Set((ts.taggedAthleteIds||[]).map(Number));
+// Athletes stay on the roster without a team; projects lose the home/away reference.
+function deleteTeam(id){
+  const team = getTeam(id);
+  if (!team) return;
+  const count = state.roster.filter(a => a.teamId === id).length;
+  if (!confirm(`Delete team "${team.name}"?${count ? ` Its ${count} athletes stay on the roster without a team.` : ""}`)) return;
+
+  state.teams = state.teams.filter(t => t.id !== id);
+  for (const a of state.roster) if (a.teamId === id) a.teamId = null;
+  const unlink = (p) => {
+    if (p.homeTeamId === id) p.homeTeamId = null;
+    if (p.awayTeamId === id) p.awayTeamId = null;
+  };
+  unlink(state);
+  updateOtherProjects(unlink);
+  if (String(rosterTeamFilter) === String(id)) rosterTeamFilter = "all";
+  if (String(athleteTeamFilter) === String(id)) athleteTeamFilter = "all";
+  saveState();
+  $("rosterStatus").textContent = `Deleted team "${team.name}".`;
+  refreshTeamUI();
+}
+
+// -------------------------
+// Roster
+// -------------------------
+const ATHLETE_SIDES = {offense: "Offense", defense: "Defense", special: "Special teams"};
+const ATHLETE_STATUSES = {active: "Active", injured: "Injured", inactive: "Inactive"};
+const ATHLETE_PHOTO_PX = 160;
+const PHOTO_FETCH_TIMEOUT = 10000; // ms per linked photo on roster import
+
+function rosterLabel(a){
+  return `#${a.jersey || "?"} ${a.position || ""} — ${a.first || ""} ${a.last || ""}`.trim();
+}
+
+function rosterSearchIndex(a){
+  return [
+    a.id, a.first, a.last, a.position, a.jersey, teamName(a),
+    a.classYear, a.height, a.weight, ATHLETE_SIDES[a.side]
+  ].map(norm).join(" ");
+}
+
+// Status is matched from the start of its label, so "active" doesn't find inactive athletes.
+function rosterSearchMatch(a, q){
+  return rosterSearchIndex(a).includes(q) || norm(ATHLETE_STATUSES[a.status]).startsWith(q);
+}
+
+// Secondary line for athlete lists: ID plus anything a coach should notice (injured, class year).
+function athleteSubLabel(a){
+  return [
+    `ID ${a.id}`,
+    teamName(a),
+    a.classYear,
+    a.status && a.status !== "active" ? ATHLETE_STATUSES[a.status] : ""
+  ].filter(Boolean).join(" • ");
+}
+
+// Accepts a key ("defense"), a label ("Defense") or a prefix of only one choice ("D", "def"); returns the key,
+// or "" when nothing matches or the prefix fits several ("in": injured or inactive).
+function choiceKey(value, choices){
+  const v = norm(value);
+  if (!v) return "";
+  const keys = Object.keys(choices);
+  const exact = keys.find(k => k === v || norm(choices[k]) === v);
+  if (exact) return exact;
+  const prefixed = keys.filter(k => k.startsWith(v) || norm(choices[k]).startsWith(v));
+  return prefixed.length === 1 ? prefixed[0] : "";
+}
+
+// Photos are stored in the roster itself (readAthletePhoto output), so rendering never hits the network.
+function isPhotoSrc(v){
+  return isStr(v) && /^data:image\//i.test(v);
+}
+
+const isPhotoUrl = (v) => isStr(v) && /^https?:\/\//i.test(v);
+
+function athletePhoto(a, cls = "athPhoto"){
+  return isPhotoSrc(a.photo)
+    ? `<img class="${cls}" src="${escapeHtml(a.photo)}" alt="" />`
+    : `<span class="${cls} ${cls}--empty">${escapeHtml(((a.first||"")[0] || "") + ((a.last||"")[0] || "")).toUpperCase()}</span>`;
+}
+
+// Photos are saved with the roster on every roster change, so shrink them to a small center-cropped JPEG first.
+async function readAthletePhoto(file){
+  const url = URL.createObjectURL(file);
+  try{
+    const img = new Image();
+    const loaded = waitForEvent(img, "load");
+    img.src = url;
+    if (!await loaded || !img.naturalWidth) return null;
+    const side = Math.min(img.naturalWidth, img.naturalHeight);
+    const c = document.createElement("canvas");
+    c.width = c.height = ATHLETE_PHOTO_PX;
+    c.getContext("2d").drawImage(img,
+      (img.naturalWidth - side) / 2, (img.naturalHeight - side) / 2, side, side,
+      0, 0, ATHLETE_PHOTO_PX, ATHLETE_PHOTO_PX);
+    return c.toDataURL("image/jpeg", 0.85);
+  } finally {
+    URL.revokeObjectURL(url);
+  }
+}
+
+// Roster CSVs may link photos on the web: download and shrink them once, on import. Null when the
+// host can't be reached or doesn't allow it (CORS).
+async function fetchAthletePhoto(url){
+  try {
+    const res = await fetch(url, {signal: AbortSignal.timeout(PHOTO_FETCH_TIMEOUT)});
+    if (!res.ok) return null;
+    const blob = await res.blob();
+    return blob.type.startsWith("image/") ? await readAthletePhoto(blob) : null;
+  } catch {
+    return null;
+  }
+}
+
+const choiceOptions = (choices, current, blank) =>
+  (blank !== undefined ? `<option value="">${blank}</option>` : "") +
+  Object.entries(choices).map(([k, label]) => `<option value="${k}" ${current === k ? "selected" : ""}>${label}</option>`).join("");
+
+let rosterEdit = null; // {id, photo} while a roster row is in inline edit mode
+
+function rosterViewRow(a){
+  return `
+    <td>${athletePhoto(a)}</td>
+    <td class="muted">${a.id}</td>
+    <td><button class="linkBtn" data-profile="${a.id}">${escapeHtml(a.first||"")}</button></td>
+    <td><button class="linkBtn" data-profile="${a.id}">${escapeHtml(a.last||"")}</button></td>
+    <td>${escapeHtml(a.position||"")}</td>
+    <td>${escapeHtml(a.jersey||"")}</td>
+    <td>${getTeam(a.teamId) ? athletePill(a, teamName(a)) : ""}</td>
+    <td>${escapeHtml(a.classYear||"")}</td>
+    <td>${escapeHtml([a.height, a.weight].filter(Boolean).join(" / "))}</td>
+    <td>${escapeHtml(ATHLETE_SIDES[a.side] || "")}</td>
+    <td><span class="athStatus athStatus--${a.status || "active"}">${ATHLETE_STATUSES[a.status] || "Active"}</span></td>
+    <td style="text-align:right;white-space:nowrap">
+      <button class="btn" data-edit="${a.id}">Edit</button>
+      <button class="btn btn--danger" data-del="${a.id}">Delete</button>
+    </td>
+  `;
+}
+
+function rosterEditRow(a){
+  const input = (field, ph, cls = "") => `<input class="input ${cls}" data-field="${field}" placeholder="${ph}" value="${escapeHtml(a[field] || "")}" />`;
+  return `
+    <td class="rosterPhotoCell"><div class="stack">
+      ${athletePhoto({...a, photo: rosterEdit.photo})}
+      <button class="btn" data-photo>Photo</button>
+      ${rosterEdit.photo ? `<button class="btn" data-photo-clear>Remove</button>` : ""}
+    </div></td>
+    <td class="muted">${a.id}</td>
+    <td>${input("first", "First")}</td>
+    <td>${input("last", "Last")}</td>
+    <td>${input("position", "Pos", "input--short")}</td>
+    <td>${input("jersey", "#", "input--short")}</td>
+    <td><select class="select" data-field="teamId">${teamOptions(a.teamId, "—")}</select></td>
+    <td>${input("classYear", "Class", "input--short")}</td>
+    <td><div class="stack">${input("height", "Height", "input--short")}${input("weight", "Weight", "input--short")}</div></td>
+    <td><select class="select" data-field="side">${choiceOptions(ATHLETE_SIDES, a.side, "—")}</select></td>
+    <td><select class="select" data-field="status">${choiceOptions(ATHLETE_STATUSES, a.status || "active")}</select></td>
+    <td style="text-align:right;white-space:nowrap">
+      <button class="btn btn--primary" data-save>Save</button>
+      <button class="btn" data-cancel>Cancel</button>
+    </td>
+  `;
+}
+
+function renderRosterTable(){
+  const q = norm($("rosterSearch").value);
+  const tbody = $("rosterTbody");
+  tbody.innerHTML = "";
 
   const rows = state.roster
     .slice()
-    .sort((a,b)=>String(a.team||"").localeCompare(String(b.team||"")) || String(a.jersey||"").localeCompare(String(b.jersey||"")))
-    .filter(a => !q || rosterSearchIndex(a).includes(q))
-    .slice(0, 30); // keep snappy
+    .sort((a,b) => teamName(a).localeCompare(teamName(b)) || String(a.last||"").localeCompare(String(b.last||"")) )
+    .filter(a => Number(a.id) === rosterEdit?.id || (teamFilterMatch(a, rosterTeamFilter) && (!q || rosterSearchMatch(a, q))));
 
   for (const a of rows){
-    const isTagged = tagged.has(Number(a.id));
-    const row = document.createElement("div");
-    row.className = "athRow";
-    row.innerHTML = `
+    const tr = document.createElement("tr");
+    const editing = Number(a.id) === rosterEdit?.id;
+    if (editing) tr.className = "is-editing";
+    tr.innerHTML = editing ? rosterEditRow(a) : rosterViewRow(a);
+    tbody.appendChild(tr);
+    if (editing) bindRosterEditRow(tr, a);
+  }
+
+  tbody.querySelectorAll("button[data-profile]").forEach(btn => {
+    btn.onclick = () => openAthleteProfile(Number(btn.getAttribute("data-profile")));
+  });
+
+  tbody.querySelectorAll("button[data-edit]").forEach(btn => {
+    btn.onclick = () => {
+      const a = state.roster.find(x => Number(x.id) === Number(btn.getAttribute("data-edit")));
+      rosterEdit = {id: Number(a.id), photo: a.photo || ""};
+      renderRosterTable();
+      tbody.querySelector("tr.is-editing input")?.focus();
+    };
+  });
+
+  // bind deletes
+  tbody.querySelectorAll("button[data-del]").forEach(btn => {
+    btn.onclick = () => {
+      const id = Number(btn.getAttribute("data-del"));
+      // remove athlete from roster
+      state.roster = state.roster.filter(x => Number(x.id) !== id);
+      // also remove tags from timestamps (in every project, the roster is shared)
+      const untag = (p) => {
+        for (const ts of p.timestamps || []){
+          ts.taggedAthleteIds = (ts.taggedAthleteIds||[]).filter(aid => Number(aid) !== id);
+        }
+      };
+      untag(state);
+      updateOtherProjects(untag);
+      clearHistory(); // undo would bring back tags for an athlete who is gone
+      saveState();
+      renderRosterTable();
+      renderTimestampList();
+      renderAthleteSearchResults(); // refresh search result
+    };
+  });
+}
+
+function bindRosterEditRow(tr, a){
+  const cancel = () => { rosterEdit = null; renderRosterTable(); };
+  const save = () => {
+    const vals = {};
+    tr.querySelectorAll("[data-field]").forEach(el => vals[el.dataset.field] = el.value.trim());
+    vals.teamId = vals.teamId ? Number(vals.teamId) : null;
+    if (!vals.first || !vals.last){
+      $("rosterStatus").textContent = "First and last name are required.";
+      return;
+    }
+    Object.assign(a, vals);
+    if (rosterEdit.photo) a.photo = rosterEdit.photo;
+    else delete a.photo;
+    rosterEdit = null;
+    saveState();
+    $("rosterStatus").textContent = `Updated athlete ID ${a.id}.`;
+    // labels show up in tags, pills and search across the film tab
+    renderTeams();
+    renderRosterTable();
+    renderTimestampList();
+    renderTaggedAthletes();
+    renderAthleteSearchResults();
+  };
+
+  tr.querySelector("[data-save]").onclick = save;
+  tr.querySelector("[data-cancel]").onclick = cancel;
+  tr.querySelectorAll("input").forEach(el => el.addEventListener("keydown", (e) => {
+    if (e.key === "Enter") save();
+    if (e.key === "Escape") cancel();
+  }));
+  bindRosterPhotoButtons(tr, a);
+}
+
+function bindRosterPhotoButtons(tr, a){
+  tr.querySelector("[data-photo]").onclick = async () => {
+    const file = await pickFile("image/*");
+    if (!file) return;
+    const photo = await readAthletePhoto(file);
+    if (!photo){
+      $("rosterStatus").textContent = "Could not read that image.";
+      return;
+    }
+    rosterEdit.photo = photo;
+    refreshRosterPhotoCell(tr, a);
+  };
+  const clear = tr.querySelector("[data-photo-clear]");
+  if (clear) clear.onclick = () => {
+    rosterEdit.photo = "";
+    refreshRosterPhotoCell(tr, a);
+  };
+}
+
+// Re-render only the photo cell so values typed into the other cells are kept.
+function refreshRosterPhotoCell(tr, a){
+  const cell = tr.querySelector(".rosterPhotoCell");
+  const tmp = document.createElement("tr");
+  tmp.innerHTML = rosterEditRow(a);
+  cell.replaceWith(tmp.querySelector(".rosterPhotoCell"));
+  bindRosterPhotoButtons(tr, a);
+}
+
+// -------------------------
+// Athlete profile
+// -------------------------
+function timestampsTagging(timestamps, athleteId){
+  return (timestamps || [])
+    .filter(ts => (ts.taggedAthleteIds || []).map(Number).includes(Number(athleteId)))
+    .sort((a,b) => a.time - b.time);
+}
+
+function profileClipRow(ts, projectId){
+  return `
+    <div class="athRow profileClip" data-ts="${ts.id}" data-project="${projectId}">
       <div class="athLabel">
-        <div class="athMain">${escapeHtml(rosterLabel(a))}</div>
-        <div class="athSub">ID ${a.id}</div>
+        <div class="athMain">${tsRangeLabel(ts)} — ${escapeHtml(ts.title || "Untitled")}</div>
+        ${ts.description ? `<div class="athSub profileNotes">${escapeHtml(ts.description)}</div>` : ""}
       </div>
-      <button class="btn ${isTagged ? "" : "btn--primary"}" data-id="${a.id}">${isTagged ? "Tagged" : "Tag"}</button>
-    `;
+      <button class="btn">Jump</button>
+    </div>`;
+}
+
+function openAthleteProfile(athleteId){
+  const a = state.roster.find(x => Number(x.id) === Number(athleteId));
+  if (!a) return;
+
+  const here = timestampsTagging(state.timestamps, athleteId);
+  // other projects in the library (the roster is shared, so IDs line up)
+  const elsewhere = library.projects
+    .filter(meta => meta.id !== state.projectId)
+    .map(meta => ({meta, clips: timestampsTagging(readProject(meta.id)?.timestamps, athleteId)}))
+    .filter(x => x.clips.length)
+    .sort((x, y) => String(x.meta.date||"").localeCompare(String(y.meta.date||"")));
+  const total = here.length + elsewhere.reduce((n, x) => n + x.clips.length, 0);
+
+  const modal = openModal(rosterLabel(a), `
+    <div class="row wrap">
+      ${isPhotoSrc(a.photo) ? athletePhoto(a, "profilePhoto") : ""}
+      ${getTeam(a.teamId) ? athletePill(a, teamName(a)) : ""}
+      ${a.status ? `<span class="pill athStatus athStatus--${a.status}">${ATHLETE_STATUSES[a.status]}</span>` : ""}
+      ${[ATHLETE_SIDES[a.side], a.classYear, a.height, a.weight].filter(Boolean).map(v => `<span class="pill">${escapeHtml(v)}</span>`).join("")}
+      <span class="pill">ID ${a.id}</span>
+      <span class="pill">${here.length} clips in this project</span>
+      ${library.projects.length > 1 ? `<span class="pill">${total} clips across ${library.projects.length} projects</span>` : ""}
+    </div>
+    <div class="subhead">${escapeHtml(state.name || "This project")}</div>
+    <div class="athResults profileList">
+      ${here.map(ts => profileClipRow(ts, state.projectId)).join("") || `<div class="athRow"><div class="athSub">Not tagged in this project yet.</div></div>`}
+    </div>
+    ${elsewhere.map(({meta, clips}) => `
+      <div class="subhead">${escapeHtml(meta.name)}${meta.opponent ? ` <span class="muted">vs ${escapeHtml(meta.opponent)}</span>` : ""} <span class="muted">${escapeHtml(meta.date || "")} • ${clips.length} clips</span></div>
+      <div class="athResults profileList">${clips.map(ts => profileClipRow(ts, meta.id)).join("")}</div>
+    `).join("")}
+  `, [
+    {label: "Film package", onClick: () => openPackageDialog({athleteId: a.id})}
+  ]);
+
+  modal.querySelectorAll(".profileClip").forEach(row => {
     row.querySelector("button").onclick = () => {
-      if (!ts.taggedAthleteIds) ts.taggedAthleteIds = [];
-      const idNum = Number(a.id);
-      const has = (ts.taggedAthleteIds||[]).map(Number).includes(idNum);
-      if (has) {
-        ts.taggedAthleteIds = (ts.taggedAthleteIds||[]).filter(x => Number(x) !== idNum);
-      } else {
-        ts.taggedAthleteIds.push(a.id);
-      }
-      saveState();
-      renderTaggedAthletes();
-      renderTimestampList();
-      renderAthleteSearchResults();
+      const projectId = Number(row.dataset.project);
+      const tsId = Number(row.dataset.ts);
+      closeModal();
+      if (projectId !== state.projectId) openProject(projectId);
+      setTab("film");
+      const ts = state.timestamps.find(t => t.id === tsId);
+      if (!ts) return;
+      stopReel();
+      selectTimestamp(ts.id);
+      playTimestamp(ts);
     };
-    box.appendChild(row);
-  }
+  });
+}
 
-  if (!rows.length){
-    box.innerHTML = `<div class="athRow"><div class="athLabel"><div class="athMain">No matches</div><div class="athSub">Try jersey number, position, team, or last name.</div></div></div>`;
-  }
+function addAthlete(){
+  const first = $("r-first").value.trim();
+  const last = $("r-last").value.trim();
+  const position = $("r-pos").value.trim();
+  const jersey = $("r-jersey").value.trim();
+  const teamId = $("r-team").value ? Number($("r-team").value) : null;
+  const classYear = $("r-class").value.trim();
+  const height = $("r-height").value.trim();
+  const weight = $("r-weight").value.trim();
+  const side = $("r-side").value;
+  const status = $("r-status").value;
+
+  if (!first || !last){
+    $("rosterStatus").textContent = "First and last name are required.";
+    return;
+  }
+
+  const id = uidNumeric();
+  state.roster.push({ id, first, last, position, jersey, teamId, classYear, height, weight, side, status });
+  saveState();
+
+  $("r-first").value = "";
+  $("r-last").value = "";
+  $("r-pos").value = "";
+  $("r-jersey").value = "";
+  $("r-class").value = "";
+  $("r-height").value = "";
+  $("r-weight").value = "";
+  $("r-side").value = "";
+  $("r-status").value = "active";
+
+  $("rosterStatus").textContent = `Added athlete ID ${id}.`;
+  renderTeams();
+  renderRosterTable();
+}
+
+function exportRosterCSV(){
+  const headers = ROSTER_CSV_FIELDS.map(f => f.key);
+  const csv = toCSV(state.roster.map(a => ({...a, team: teamName(a)})), headers);
+  downloadText("roster.csv", csv, "text/csv");
+}
+
+// Roster fields a CSV column can map to. Aliases are matched case/punctuation-insensitively.
+const ROSTER_CSV_FIELDS = [
+  {key: "id", label: "ID", aliases: ["id", "athleteid", "playerid"]},
+  {key: "first", label: "First", aliases: ["first", "firstname", "given", "givenname", "name"]},
+  {key: "last", label: "Last", aliases: ["last", "lastname", "surname", "familyname"]},
+  {key: "position", label: "Position", aliases: ["position", "pos"]},
+  {key: "jersey", label: "Jersey", aliases: ["jersey", "number", "jerseynumber", "no", "num"]},
+  {key: "team", label: "Team", aliases: ["team", "squad"]},
+  {key: "classYear", label: "Class", aliases: ["classyear", "class", "grade", "year", "gradyear", "graduationyear"]},
+  {key: "height", label: "Height", aliases: ["height", "ht"]},
+  {key: "weight", label: "Weight", aliases: ["weight", "wt"]},
+  {key: "side", label: "Side", aliases: ["side", "sideofball"]},
+  {key: "status", label: "Status", aliases: ["status", "availability"]},
+  {key: "photo", label: "Photo", aliases: ["photo", "photourl", "image", "picture"]}
+];
+
+const headerKey = (h) => norm(h).replace(/[^a-z0-9]/g, "");
+
+// {fieldKey: header} for the first unused header matching each field's aliases ("" when none).
+function guessColumnMapping(headers, fields, keyOf = headerKey){
+  const mapping = {};
+  const used = new Set();
+  for (const f of fields){
+    const h = headers.find(h => !used.has(h) && f.aliases.includes(keyOf(h)));
+    mapping[f.key] = h ?? "";
+    if (h) used.add(h);
+  }
+  return mapping;
+}
+
+// Classify each CSV row against the roster:
+//   update    — ID matches an existing athlete (and something changed)
+//   unchanged — ID matches and every mapped field is the same
+//   duplicate — no ID match, but same name + jersey + team as an athlete (or an earlier row)
+//   new       — everything else;  invalid — no first or last name
+function classifyRosterRows(rows, mapping){
+  const byId = new Map(state.roster.map(a => [Number(a.id), a]));
+  const byIdentity = new Map(state.roster.map(a => [athleteIdentity(a), a]));
+  const seen = new Set();
+
+  return rows.map(r => {
+    const a = {};
+    for (const f of ROSTER_CSV_FIELDS) a[f.key] = mapping[f.key] ? (r[mapping[f.key]] ?? "").toString().trim() : "";
+    const id = a.id && Number.isFinite(Number(a.id)) ? Number(a.id) : null;
+    delete a.id;
+    const unclear = {}; // {field: value} for side/status values matching no choice, or several
+    for (const [k, choices] of [["side", ATHLETE_SIDES], ["status", ATHLETE_STATUSES]]){
+      if (!mapping[k]) continue;
+      const v = choiceKey(a[k], choices);
+      if (a[k] && !v) unclear[k] = a[k];
+      a[k] = v;
+    }
+    if (!isPhotoSrc(a.photo) && !isPhotoUrl(a.photo)) a.photo = ""; // links are downloaded on apply
+
+    if (!a.first && !a.last) return {status: "invalid", athlete: a, unclear};
+    // teams are matched by name; a name we don't know yet becomes a new team on apply
+    const team = findTeamByName(a.team);
+    const key = athleteIdentity({...a, teamId: team ? team.id : (a.team ? `new:${a.team}` : null)});
+    const byIdMatch = id !== null ? byId.get(id) : null;
+    let out;
+    if (byIdMatch){
+      const current = (f) => f.key === "team" ? norm(teamName(byIdMatch)) : String(byIdMatch[f.key] ?? "");
+      const same = ROSTER_CSV_FIELDS.every(f => f.key === "id" || !mapping[f.key] || current(f) === (f.key === "team" ? norm(a.team) : a[f.key]));
+      out = {status: same ? "unchanged" : "update", athlete: a, target: byIdMatch};
+    } else if (byIdentity.has(key)){
+      out = {status: "duplicate", athlete: a, target: byIdentity.get(key)};
+    } else if (seen.has(key)){
+      out = {status: "duplicate", athlete: a, target: null};
+    } else {
+      out = {status: "new", athlete: a, id};
+    }
+    seen.add(key);
+    return {...out, unclear};
+  });
+}
+
+function unclearChoiceCell(value, choices){
+  const title = `Not exactly one of ${Object.values(choices).join(", ")} — left blank`;
+  return `<span class="pill rowStatus rowStatus--duplicate" title="${escapeHtml(title)}">${escapeHtml(value)}?</span>`;
+}
+
+const ROSTER_ROW_STATUS = {
+  new: {label: "New", checked: true},
+  update: {label: "Update", checked: true},
+  unchanged: {label: "Unchanged", checked: false},
+  duplicate: {label: "Likely duplicate", checked: false},
+  invalid: {label: "Missing name", checked: false}
+};
+
+async function importRosterCSV(){
+  const file = await pickFile(".csv,.tsv,.txt,text/csv");
+  if (!file) return;
+  const parsed = fromCSV(await file.text());
+  if (!parsed.rows.length){
+    $("rosterStatus").textContent = "No rows found in that file.";
+    return;
+  }
+  openRosterImportPreview(file.name, parsed);
+}
+
+function openRosterImportPreview(fileName, {headers, rows, delimiter}){
+  const mapping = guessColumnMapping(headers, ROSTER_CSV_FIELDS);
+  const delimName = {",": "comma", ";": "semicolon", "\t": "tab"}[delimiter] || delimiter;
+  const modal = openModal(`Import roster: ${fileName}`, `
+    <div class="muted">${rows.length} rows, ${delimName}-separated. Map columns, then pick the rows to apply.
+      Updates overwrite the athlete with the same ID; checked duplicates update the matching athlete instead of adding a copy.</div>
+    <div class="mapGrid" id="rosterMapGrid">
+      ${ROSTER_CSV_FIELDS.map(f => `
+        <label class="stack mapField">
+          <span class="muted">${f.label}</span>
+          <select class="select" data-field="${f.key}">
+            <option value="">— none —</option>
+            ${headers.map(h => `<option value="${escapeHtml(h)}" ${mapping[f.key] === h ? "selected" : ""}>${escapeHtml(h)}</option>`).join("")}
+          </select>
+        </label>`).join("")}
+    </div>
+    <div class="row wrap" id="rosterImportCounts"></div>
+    <div class="tableWrap previewTable"><table class="table">
+      <thead><tr><th><input type="checkbox" id="rosterImportAll" title="Select all" /></th><th>Status</th>
+        ${ROSTER_CSV_FIELDS.filter(f => f.key !== "id").map(f => `<th>${f.label}</th>`).join("")}</tr></thead>
+      <tbody id="rosterImportRows"></tbody>
+    </table></div>
+  `, [{label: "Apply selected", primary: true, onClick: () => applyRosterImport(modal, classified)}]);
+  modal.querySelector(".modal__card").classList.add("modal__card--wide");
+
+  let classified = [];
+  const render = () => {
+    classified = classifyRosterRows(rows, mapping);
+    const counts = {};
+    for (const c of classified) counts[c.status] = (counts[c.status] || 0) + 1;
+    const unclear = classified.filter(c => Object.keys(c.unclear).length).length;
+    modal.querySelector("#rosterImportCounts").innerHTML = Object.keys(ROSTER_ROW_STATUS)
+      .filter(k => counts[k])
+      .map(k => `<span class="pill rowStatus rowStatus--${k}">${counts[k]} ${ROSTER_ROW_STATUS[k].label.toLowerCase()}</span>`)
+      .join("") + (unclear ? `<span class="pill rowStatus rowStatus--duplicate" title="Side or status matches no choice, or more than one — left blank">${unclear} with unclear side/status</span>` : "");
+
+    modal.querySelector("#rosterImportRows").innerHTML = classified.map((c, i) => `
+      <tr>
+        <td><input type="checkbox" data-row="${i}" ${ROSTER_ROW_STATUS[c.status].checked ? "checked" : ""} ${c.status === "invalid" ? "disabled" : ""} /></td>
+        <td><span class="pill rowStatus rowStatus--${c.status}" title="${c.target ? escapeHtml(`Matches ${rosterLabel(c.target)} (ID ${c.target.id})`) : ""}">${ROSTER_ROW_STATUS[c.status].label}</span></td>
+        ${ROSTER_CSV_FIELDS.filter(f => f.key !== "id").map(f => `<td>${f.key === "photo"
+          ? (isPhotoUrl(c.athlete.photo) ? `<span class="muted" title="${escapeHtml(c.athlete.photo)}">link</span>` : c.athlete.photo ? athletePhoto(c.athlete) : "")
+          : f.key in c.unclear ? unclearChoiceCell(c.unclear[f.key], f.key === "side" ? ATHLETE_SIDES : ATHLETE_STATUSES)
+          : escapeHtml({side: ATHLETE_SIDES, status: ATHLETE_STATUSES}[f.key]?.[c.athlete[f.key]] ?? c.athlete[f.key])}</td>`).join("")}
+      </tr>`).join("");
+  };
+
+  modal.querySelectorAll("#rosterMapGrid select").forEach(sel => {
+    sel.addEventListener("change", () => { mapping[sel.dataset.field] = sel.value; render(); });
+  });
+  modal.querySelector("#rosterImportAll").addEventListener("change", (e) => {
+    modal.querySelectorAll("#rosterImportRows input:not(:disabled)").forEach(cb => cb.checked = e.target.checked);
+  });
+  render();
+}
+
+function applyRosterImport(modal, classified){
+  const picked = [...modal.querySelectorAll("#rosterImportRows input[data-row]:checked")].map(cb => classified[Number(cb.dataset.row)]);
+  const links = []; // {id, url}: photos downloaded after the rows are in
+  let added = 0, updated = 0;
+  for (const c of picked){
+    const {team, photo, ...fields} = c.athlete;
+    if (isPhotoSrc(photo)) fields.photo = photo;
+    const teamId = team ? ensureTeam(team).id : null;
+    let athlete = c.target;
+    if (athlete){
+      // update / unchanged / duplicate of an existing athlete: only overwrite mapped, non-empty fields
+      for (const [k, v] of Object.entries(fields)) if (v) athlete[k] = v;
+      if (teamId !== null) athlete.teamId = teamId;
+      updated++;
+    } else {
+      const taken = c.id !== null && c.id !== undefined && state.roster.some(a => Number(a.id) === c.id);
+      athlete = {id: (c.id && !taken) ? c.id : uidNumeric() + added, ...fields, teamId, status: fields.status || "active"};
+      state.roster.push(athlete);
+      added++;
+    }
+    if (isPhotoUrl(photo)) links.push({id: athlete.id, url: photo});
+  }
+  closeModal();
+  saveState();
+  $("rosterStatus").textContent = `Imported roster: ${added} added, ${updated} updated, ${classified.length - picked.length} skipped.` +
+    (links.length ? ` Downloading ${links.length} photo${links.length === 1 ? "" : "s"}…` : "");
+  // Force a full UI re-sync so tags/search reflect imported roster immediately.
+  renderTeams();
+  renderRosterTable();
+  renderTimestampList();
+  renderTaggedAthletes();
+  renderAthleteSearchResults();
+  setStatus("Roster imported and UI refreshed.");
+  // If a timestamp is selected, re-select it to refresh tag panels immediately.
+  if (selectedTsId) selectTimestamp(selectedTsId);
+  if (links.length) attachImportedPhotos(links);
+}
+
+// Downloads run side by side; each photo goes to its athlete by ID, if the athlete is still there.
+async function attachImportedPhotos(links){
+  const photos = await Promise.all(links.map(l => fetchAthletePhoto(l.url)));
+  let attached = 0;
+  links.forEach(({id}, i) => {
+    const a = state.roster.find(x => Number(x.id) === Number(id));
+    if (!a || !photos[i]) return; // download failed, or the athlete was deleted meanwhile
+    a.photo = photos[i];
+    attached++;
+  });
+  if (attached){
+    saveState();
+    renderRosterTable();
+    renderTaggedAthletes();
+    renderAthleteSearchResults();
+  }
+  const failed = photos.filter(x => !x).length;
+  $("rosterStatus").textContent = `Roster photos: ${attached} added` + (failed ? `, ${failed} could not be downloaded.` : ".");
+}
+
+function clearRoster(){
+  state.roster = [];
+  // also clear tags (in every project, the roster is shared)
+  const untagAll = (p) => {
+    for (const ts of p.timestamps || []) ts.taggedAthleteIds = [];
+  };
+  untagAll(state);
+  updateOtherProjects(untagAll);
+  clearHistory(); // undo would bring back tags for athletes who are gone
+  saveState();
+  renderTeams();
+  renderRosterTable();
+  renderTimestampList();
+  renderAthleteSearchResults();
+  $("rosterStatus").textContent = "Roster cleared.";
+}
+
+// -------------------------
+// Timestamps
+// -------------------------
+function escapeHtml(s){
+  return (s||"").toString().replace(/[&<>"']/g, c => ({'&':'&amp;','<':'&lt;','>':'&gt;','"':'&quot;',"'":'&#39;'}[c]));
+}
+
+function tsSearchIndex(ts){
+  const tagLabels = (ts.taggedAthleteIds||[])
+    .map(id => state.roster.find(a => Number(a.id)===Number(id)))
+    .filter(Boolean)
+    .map(a => rosterLabel(a))
+    .join(" ");
+  const chipLabels = tsTagList(ts).map(({opt}) => opt.label).join(" ");
+  const comments = (ts.comments || []).map(c => `${c.author} ${c.text}`).join(" ");
+  return [ts.title, ts.description, tagLabels, chipLabels, comments].map(norm).join(" ");
+}
+
+// End of a clip range, or null for a single-moment timestamp (older projects only have `time`).
+function tsEnd(ts){
+  const end = Number(ts?.end);
+  return (Number.isFinite(end) && end > Number(ts.time)) ? end : null;
+}
+
+function tsRangeLabel(ts){
+  const end = tsEnd(ts);
+  return end === null ? fmtPos(ts.time) : `${fmtPos(ts.time)}–${fmtPos(end)}`;
+}
+
+// Timestamps matching the film filter box, in time order.
+function getFilteredTimestamps(){
+  const q = norm($("tsFilter").value);
+  return state.timestamps.slice().sort((a,b)=>a.time-b.time)
+    .filter(ts => !q || tsSearchIndex(ts).includes(q))
+    .filter(tagFilterMatch)
+    .filter(ts => !openCommentsOnly || openCommentCount(ts) > 0);
+}
+
+function renderTimestampList(){
+  const list = $("tsList");
+  list.innerHTML = "";
+
+  const sorted = getFilteredTimestamps();
+
+  for (const ts of sorted){
+    const div = document.createElement("div");
+    div.className = "ts" + (ts.id === selectedTsId ? " is-selected" : "");
+    const athleteCount = (ts.taggedAthleteIds||[]).length;
+    const tags = (ts.taggedAthleteIds||[])
+      .map(id => state.roster.find(a => Number(a.id)===Number(id)))
+      .filter(Boolean)
+      .slice(0,3)
+      .map(a => athletePill(a))
+      .join("");
+
+    const chips = tsTagList(ts)
+      .map(({cat, opt}) => `<span class="chip is-on" style="--chip:${escapeHtml(cat.color)}" title="${escapeHtml(cat.name)}">${escapeHtml(opt.label)}</span>`)
+      .join("");
+
+    const end = tsEnd(ts);
+    const openComments = openCommentCount(ts);
+    div.innerHTML = `
+      <div class="ts__top">
+        <div class="ts__title">${tsRangeLabel(ts)} — ${escapeHtml(ts.title || "Untitled")}</div>
+        <div class="row">
+          ${livePeersOn(ts.id)}
+          ${end !== null ? `<div class="pill" title="Clip duration">${fmtDuration(end - ts.time)}</div>` : ""}
+          ${openComments ? `<div class="pill pill--comments" title="Unresolved comment threads">${openComments} open</div>` : ""}
+          ${ts.notesPrivate ? `<div class="pill" title="Notes are left out of player packages">Coach only</div>` : ""}
+          <div class="pill">${athleteCount} athletes</div>
+        </div>
+      </div>
+      <div class="muted">${escapeHtml((ts.description||"").slice(0,110))}${(ts.description||"").length>110 ? "…" : ""}</div>
+      <div class="ts__meta">${tags}${athleteCount>3 ? `<span class="pill">+${athleteCount-3}</span>` : ""}</div>
+      ${chips ? `<div class="ts__meta">${chips}</div>` : ""}
+    `;
+
+    div.onclick = () => {
+      stopReel();
+      selectTimestamp(ts.id);
+      playTimestamp(ts);
+    };
+
+    list.appendChild(div);
+  }
+  $("tsPeers").innerHTML = selectedTsId ? livePeersOn(selectedTsId) : "";
+}
+
+function addTimestampAtCurrent(){
+  if (!player) return;
+  const time = Math.round(player.getTime() * 1000) / 1000; // keep sub-second precision (ms)
+  const ts = {
+    id: uidNumeric(),
+    time,
+    title: "New coaching point",
+    description: "",
+    taggedAthleteIds: [],
+    drawings: []
+  };
+  pushHistory();
+  state.timestamps.push(ts);
+  saveState();
+  setStatus(`Added timestamp @ ${fmtPos(time)}`);
+  renderTimestampList();
+  selectTimestamp(ts.id);
+}
+
+function selectTimestamp(id){
+  selectedTsId = id;
+  const ts = state.timestamps.find(t => t.id === id);
+  if (!ts) return;
+
+  $("tsTitle").value = ts.title || "";
+  $("tsDesc").value = ts.description || "";
+  $("tsNotesPrivate").checked = !!ts.notesPrivate;
+  $("tsTimePill").textContent = tsRangeLabel(ts);
+
+  // drawings
+  drawings = ts.drawings || [];
+  if (!drawings.some(d => d.id === selectedDrawingId)) selectedDrawingId = null;
+  redrawAll();
+
+  // tags
+  renderTaggedAthletes();
+  renderTsTagEditor();
+  renderComments();
+
+  // refresh list selection highlight
+  renderTimestampList();
+  renderAthleteSearchResults();
+  if (live) liveSendPresence();
+}
+
+function saveTimestampEdits(){
+  if (!selectedTsId) return;
+  const ts = state.timestamps.find(t => t.id === selectedTsId);
+  if (!ts) return;
+  pushHistory();
+  ts.title = $("tsTitle").value.trim();
+  ts.description = $("tsDesc").value.trim();
+  saveState();
+  renderTimestampList();
+  setStatus("Saved timestamp.");
+}
+
+function setNotesPrivate(on){
+  const ts = state.timestamps.find(t => t.id === selectedTsId);
+  if (!ts){ $("tsNotesPrivate").checked = false; return; }
+  pushHistory();
+  if (on) ts.notesPrivate = true; else delete ts.notesPrivate;
+  saveState();
+  renderTimestampList();
+  setStatus(on ? "Notes are coach-only: left out of player packages." : "Notes will be included in player packages.");
+}
+
+function deleteTimestamp(){
+  if (!selectedTsId) return;
+  pushHistory();
+  state.timestamps = state.timestamps.filter(t => t.id !== selectedTsId);
+  selectedTsId = null;
+  stopLoop();
+  $("tsTitle").value = "";
+  $("tsDesc").value = "";
+  $("tsNotesPrivate").checked = false;
+  $("tsTimePill").textContent = "—";
+  $("athleteTagList").innerHTML = "";
+  $("tsTagEditor").innerHTML = "";
+  renderComments();
+  drawings = [];
+  redrawAll();
+  saveState();
+  renderTimestampList();
+  setStatus("Deleted timestamp.");
+}
+
+function jumpToSelected(){
+  if (!selectedTsId || !player) return;
+  const ts = state.timestamps.find(t => t.id === selectedTsId);
+  if (!ts) return;
+  playTimestamp(ts);
+}
+
+// Single moments seek and pause; clip ranges loop until stopped.
+function playTimestamp(ts){
+  if (!player) return;
+  if (tsEnd(ts) !== null){
+    startLoop(ts);
+    return;
+  }
+  stopLoop();
+  player.seek(ts.time);
+  player.pause();
+}
+
+// -------------------------
+// Clip ranges (mark in / mark out + loop)
+// -------------------------
+function markIn(){
+  if (!player) return;
+  const t = player.getTime();
+  const ts = state.timestamps.find(x => x.id === selectedTsId);
+  if (!ts){
+    pendingMarkIn = t;
+    setStatus(`Marked in @ ${fmtTime(t, true)} — mark out to create a clip.`);
+    return;
+  }
+  if (ts.end != null && t >= ts.end){
+    setStatus("Mark in must be before the clip end (clear the range first to move past it).");
+    return;
+  }
+  pushHistory();
+  ts.time = t;
+  saveState();
+  selectTimestamp(ts.id);
+  setStatus(`Clip start set to ${fmtTime(t, true)}.`);
+}
+
+function markOut(){
+  if (!player) return;
+  const t = player.getTime();
+  const ts = state.timestamps.find(x => x.id === selectedTsId);
+
+  if (!ts){
+    if (pendingMarkIn === null || t <= pendingMarkIn){
+      setStatus("Mark in first, then mark out at a later time.");
+      return;
+    }
+    const clip = {
+      id: uidNumeric(),
+      time: pendingMarkIn,
+      end: t,
+      title: "New coaching point",
+      description: "",
+      taggedAthleteIds: [],
+      drawings: []
+    };
+    pendingMarkIn = null;
+    pushHistory();
+    state.timestamps.push(clip);
+    saveState();
+    selectTimestamp(clip.id);
+    setStatus(`Added clip ${tsRangeLabel(clip)}.`);
+    return;
+  }
+
+  if (t <= ts.time){
+    setStatus("Mark out must be after the clip start.");
+    return;
+  }
+  pushHistory();
+  ts.end = t;
+  saveState();
+  selectTimestamp(ts.id);
+  setStatus(`Clip end set to ${fmtTime(t, true)} (${fmtDuration(t - ts.time)}).`);
+}
+
+function clearRange(){
+  const ts = state.timestamps.find(x => x.id === selectedTsId);
+  if (!ts || tsEnd(ts) === null) return;
+  pushHistory();
+  delete ts.end;
+  stopLoop();
+  saveState();
+  selectTimestamp(ts.id);
+  setStatus("Clip range cleared.");
+}
+
+function startLoop(ts){
+  const end = tsEnd(ts);
+  if (end === null || !player) return;
+  loopRange = {start: Number(ts.time), end};
+  player.seek(loopRange.start);
+  player.play();
+  updateLoopUI();
+  setStatus(`Looping ${tsRangeLabel(ts)}.`);
+}
+
+function stopLoop(){
+  if (!loopRange) return;
+  loopRange = null;
+  updateLoopUI();
+}
+
+function updateLoopUI(){
+  const btn = $("loopBtn");
+  if (!btn) return;
+  btn.disabled = !loopRange;
+  btn.textContent = loopRange ? "Stop loop" : "Loop off";
+}
+
+// Polled while the app runs. Seeking well outside the range (step/jump elsewhere) ends the loop.
+function checkLoop(){
+  if (!loopRange || !player) return;
+  const t = player.getTime();
+  if (t < loopRange.start - 0.5 || t > loopRange.end + 1.5){
+    stopLoop();
+    return;
+  }
+  if (t >= loopRange.end) player.seek(loopRange.start);
+}
+
+// -------------------------
+// Athlete tagging on timestamp
+// -------------------------
+function renderTaggedAthletes(){
+  const wrap = $("athleteTagList");
+  wrap.innerHTML = "";
+  const ts = state.timestamps.find(t => t.id === selectedTsId);
+  if (!ts) return;
+
+  for (const id of (ts.taggedAthleteIds||[])){
+    const a = state.roster.find(x => Number(x.id) === Number(id));
+    const label = a ? rosterLabel(a) : `ID ${id}`;
+    const team = a && getTeam(a.teamId);
+    const pill = document.createElement("span");
+    pill.className = team ? "pill teamPill" : "pill";
+    if (team) pill.style.setProperty("--team", team.color);
+    pill.textContent = label;
+    pill.title = team ? `${team.name} — click to remove` : "Click to remove";
+    pill.style.cursor = "pointer";
+    pill.onclick = () => {
+      pushHistory();
+      ts.taggedAthleteIds = (ts.taggedAthleteIds||[]).filter(x => Number(x) !== Number(id));
+      saveState();
+      renderTaggedAthletes();
+      renderTimestampList();
+      renderAthleteSearchResults();
+    };
+    wrap.appendChild(pill);
+  }
+}
+
+// Tag or untag one athlete on a timestamp; returns true when the athlete is now tagged.
+function toggleAthleteTag(ts, a){
+  pushHistory();
+  if (!ts.taggedAthleteIds) ts.taggedAthleteIds = [];
+  const idNum = Number(a.id);
+  const has = (ts.taggedAthleteIds||[]).map(Number).includes(idNum);
+  if (has) {
+    ts.taggedAthleteIds = (ts.taggedAthleteIds||[]).filter(x => Number(x) !== idNum);
+  } else {
+    ts.taggedAthleteIds.push(a.id);
+  }
+  saveState();
+  renderTaggedAthletes();
+  renderTimestampList();
+  renderAthleteSearchResults();
+  return !has;
+}
+
+function renderAthleteSearchResults(){
+  const q = norm($("athSearch").value);
+  const box = $("athResults");
+  box.innerHTML = "";
+
+  if (!selectedTsId){
+    box.innerHTML = `<div class="athRow"><div class="athLabel"><div class="athMain">Select a timestamp</div><div class="athSub">Tag athletes per timestamp</div></div></div>`;
+    return;
+  }
+
+  if (!state.roster.length){
+    box.innerHTML = `<div class="athRow"><div class="athLabel"><div class="athMain">Roster is empty</div><div class="athSub">Go to Roster tab and add athletes first.</div></div></div>`;
+    return;
+  }
+
+  const ts = state.timestamps.find(t => t.id === selectedTsId);
+  const tagged = new Set((ts.taggedAthleteIds||[]).map(Number));
+
+  const rows = state.roster
+    .slice()
+    .sort((a,b)=>teamName(a).localeCompare(teamName(b)) || String(a.jersey||"").localeCompare(String(b.jersey||"")))
+    .filter(a => teamFilterMatch(a, athleteTeamFilter) && (!q || rosterSearchMatch(a, q)))
+    .slice(0, 30); // keep snappy
+
+  for (const a of rows){
+    const isTagged = tagged.has(Number(a.id));
+    const row = document.createElement("div");
+    const team = getTeam(a.teamId);
+    row.className = team ? "athRow athRow--team" : "athRow";
+    if (team) row.style.setProperty("--team", team.color);
+    row.innerHTML = `
+      <div class="athLabel">
+        <div class="athMain">${escapeHtml(rosterLabel(a))}</div>
+        <div class="athSub">${escapeHtml(athleteSubLabel(a))}</div>
+      </div>
+      <button class="btn ${isTagged ? "" : "btn--primary"}" data-id="${a.id}">${isTagged ? "Tagged" : "Tag"}</button>
+    `;
+    row.querySelector("button").onclick = () => toggleAthleteTag(ts, a);
+    box.appendChild(row);
+  }
+
+  if (!rows.length){
+    box.innerHTML = `<div class="athRow"><div class="athLabel"><div class="athMain">No matches</div><div class="athSub">Try jersey number, position, team, or last name.</div></div></div>`;
+  }
+}
+
+// -------------------------
+// Comment threads on timestamps
+// -------------------------
+// ts.comments: [{id, author, text, createdAt (ISO), replyTo (comment id or null), resolved}].
+// A thread is a comment without replyTo plus everything replying into it; only that first comment's
+// `resolved` counts. Authors come from settings.userName ("who am I").
+let openCommentsOnly = false; // film filter: only timestamps with unresolved threads
+let replyingTo = null; // comment id the composer answers, or null for a new thread
+
+// Thread-starting comment for `c` (follows replyTo; cycles and missing parents stop the walk).
+function commentRoot(comments, c){
+  const byId = new Map(comments.map(x => [x.id, x]));
+  const seen = new Set([c.id]);
+  while (c.replyTo !== null && byId.has(c.replyTo) && !seen.has(c.replyTo)){
+    c = byId.get(c.replyTo);
+    seen.add(c.id);
+  }
+  return c;
+}
+
+// [{root, replies}] in the order the threads were started; replies oldest first.
+function commentThreads(ts){
+  const comments = ts.comments || [];
+  const threads = new Map();
+  for (const c of comments){
+    const root = commentRoot(comments, c);
+    if (!threads.has(root.id)) threads.set(root.id, {root, replies: []});
+    if (root !== c) threads.get(root.id).replies.push(c);
+  }
+  const byTime = (a, b) => String(a.createdAt).localeCompare(String(b.createdAt));
+  const list = Array.from(threads.values()).sort((a, b) => byTime(a.root, b.root));
+  list.forEach(t => t.replies.sort(byTime));
+  return list;
+}
+
+function openCommentCount(ts){
+  return commentThreads(ts).filter(t => !t.root.resolved).length;
+}
+
+function fmtWhen(iso){
+  const d = new Date(iso);
+  return Number.isNaN(d.getTime()) ? "" : d.toLocaleString([], {month: "short", day: "numeric", hour: "numeric", minute: "2-digit"});
+}
+
+function commentHtml(c, root){
+  const mine = settings.userName && c.author === settings.userName;
+  return `
+    <div class="comment${c === root ? "" : " comment--reply"}">
+      <div class="row space-between">
+        <div><b>${escapeHtml(c.author || "Unknown")}</b> <span class="muted">${escapeHtml(fmtWhen(c.createdAt))}</span></div>
+        <div class="row">
+          <button class="btn" data-reply="${c.id}">Reply</button>
+          ${c === root ? `<button class="btn" data-resolve="${c.id}">${c.resolved ? "Reopen" : "Resolve"}</button>` : ""}
+          ${mine ? `<button class="btn btn--danger" data-delete="${c.id}" title="Delete your comment">×</button>` : ""}
+        </div>
+      </div>
+      <div class="comment__text">${escapeHtml(c.text)}</div>
+    </div>`;
+}
+
+function renderComments(){
+  const ts = state.timestamps.find(t => t.id === selectedTsId);
+  const box = $("tsComments");
+  const threads = ts ? commentThreads(ts) : [];
+  if (replyingTo !== null && !(ts?.comments || []).some(c => c.id === replyingTo)) replyingTo = null;
+  const open = threads.filter(t => !t.root.resolved).length;
+  $("commentCount").textContent = threads.length ? `${open} open / ${threads.length}` : "";
+  box.innerHTML = threads.map(({root, replies}) => `
+    <div class="thread${root.resolved ? " is-resolved" : ""}">
+      ${[root, ...replies].map(c => commentHtml(c, root)).join("")}
+    </div>`).join("") || (ts ? `<div class="muted">No comments yet.</div>` : "");
+
+  const target = ts?.comments?.find(c => c.id === replyingTo);
+  $("commentReplyPill").style.display = target ? "" : "none";
+  $("commentReplyPill").textContent = target ? `Replying to ${target.author || "comment"} ×` : "";
+  $("commentText").disabled = !ts;
+  $("postCommentBtn").disabled = !ts;
+
+  box.querySelectorAll("[data-reply]").forEach(b => b.onclick = () => {
+    replyingTo = Number(b.dataset.reply);
+    renderComments();
+    $("commentText").focus();
+  });
+  box.querySelectorAll("[data-resolve]").forEach(b => b.onclick = () => toggleThreadResolved(Number(b.dataset.resolve)));
+  box.querySelectorAll("[data-delete]").forEach(b => b.onclick = () => deleteComment(Number(b.dataset.delete)));
+}
+
+function postComment(){
+  const ts = state.timestamps.find(t => t.id === selectedTsId);
+  const text = $("commentText").value.trim();
+  if (!ts || !text) return;
+  if (!settings.userName){ openProfileDialog(postComment); return; }
+  pushHistory();
+  ts.comments = ts.comments || [];
+  const c = {id: uidNumeric(), author: settings.userName, text, createdAt: new Date().toISOString(), replyTo: replyingTo, resolved: false};
+  ts.comments.push(c);
+  commentRoot(ts.comments, c).resolved = false; // answering a resolved thread reopens it
+  replyingTo = null;
+  $("commentText").value = "";
+  saveState();
+  renderComments();
+  renderTimestampList();
+}
+
+function toggleThreadResolved(rootId){
+  const ts = state.timestamps.find(t => t.id === selectedTsId);
+  const root = ts?.comments?.find(c => c.id === rootId);
+  if (!root) return;
+  pushHistory();
+  root.resolved = !root.resolved;
+  saveState();
+  renderComments();
+  renderTimestampList();
+  setStatus(root.resolved ? "Thread resolved." : "Thread reopened.");
+}
+
+// Replies to a deleted comment move up to whatever it replied to, so the thread stays together.
+function deleteComment(id){
+  const ts = state.timestamps.find(t => t.id === selectedTsId);
+  const c = ts?.comments?.find(x => x.id === id);
+  if (!c) return;
+  pushHistory();
+  for (const r of ts.comments){
+    if (r.replyTo === id){
+      r.replyTo = c.replyTo;
+      if (c.replyTo === null) r.resolved = c.resolved; // first reply becomes a thread start
+    }
+  }
+  ts.comments = ts.comments.filter(x => x.id !== id);
+  saveState();
+  renderComments();
+  renderTimestampList();
+  setStatus("Comment deleted.");
+}
+
+function updateOpenCommentsBtn(){
+  $("openCommentsBtn").classList.toggle("btn--primary", openCommentsOnly);
+}
+
+function renderProfilePill(){
+  $("profileBtn").textContent = settings.userName ? `You: ${settings.userName}` : "Set your name";
+}
+
+// "Who am I": the name on comments and in live sessions. `then` runs after saving (e.g. the pending post).
+function openProfileDialog(then){
+  const modal = openModal("Who are you?", `
+    <div class="muted">Your name is shown on comments you write and to other coaches in live sessions. It is kept in this browser only.</div>
+    <input class="input" id="profileName" value="${escapeHtml(settings.userName)}" placeholder="e.g. Coach Rivera" maxlength="40" />
+  `, [
+    {label: "Save", primary: true, onClick: () => {
+      const name = modal.querySelector("#profileName").value.trim();
+      if (!name){ setStatus("Enter your name."); return; }
+      settings.userName = name;
+      saveSettings();
+      renderProfilePill();
+      renderComments();
+      closeModal();
+      if (typeof then === "function") then();
+    }}
+  ]);
+  modal.querySelector("#profileName").focus();
+}
+
+// -------------------------
+// Tag taxonomy (play type, result, formation...)
+// -------------------------
+const TAG_COLORS = ["#3457FF", "#00B3A4", "#FF8A00", "#D94DFF", "#FF4D4D", "#A3FF12"];
+
+function defaultTagCategories(){
+  const cat = (id, name, color, labels) => ({id, name, color, options: labels.map(label => ({id: fileSlug(label), label}))});
+  return [
+    cat("unit", "Unit", "#3457FF", ["Offense", "Defense", "Special Teams"]),
+    cat("play_type", "Play type", "#00B3A4", ["Run", "Pass", "RPO", "Screen", "Punt", "Kickoff", "FG/PAT"]),
+    cat("result", "Result", "#FF8A00", ["TD", "First down", "Turnover", "Penalty", "Sack", "Incomplete", "Negative play"]),
+    cat("formation", "Formation", "#D94DFF", ["Shotgun", "Pistol", "Under center", "Empty", "Trips", "I-form"])
+  ];
+}
+
+// Tags on a timestamp resolved against the project's categories (unknown IDs are skipped).
+function tsTagList(ts){
+  const out = [];
+  for (const cat of state.tagCategories || []){
+    for (const optId of ts.tags?.[cat.id] || []){
+      const opt = cat.options.find(o => o.id === optId);
+      if (opt) out.push({cat, opt});
+    }
+  }
+  return out;
+}
+
+function toggleTsTag(ts, catId, optId){
+  pushHistory();
+  ts.tags = ts.tags || {};
+  const cur = ts.tags[catId] || [];
+  ts.tags[catId] = cur.includes(optId) ? cur.filter(x => x !== optId) : [...cur, optId];
+  if (!ts.tags[catId].length) delete ts.tags[catId];
+  saveState();
+  renderTsTagEditor();
+  renderTimestampList();
+}
+
+function renderTsTagEditor(){
+  const box = $("tsTagEditor");
+  box.innerHTML = "";
+  const ts = state.timestamps.find(t => t.id === selectedTsId);
+  if (!ts) return;
+
+  for (const cat of state.tagCategories){
+    const row = document.createElement("div");
+    row.className = "tagRow";
+    row.innerHTML = `<div class="tagRow__name muted">${escapeHtml(cat.name)}</div>`;
+    const chips = document.createElement("div");
+    chips.className = "row wrap tagRow__chips";
+    for (const opt of cat.options){
+      const on = (ts.tags?.[cat.id] || []).includes(opt.id);
+      const chip = document.createElement("button");
+      chip.className = "chip" + (on ? " is-on" : "");
+      chip.style.setProperty("--chip", cat.color);
+      chip.textContent = opt.label;
+      chip.onclick = () => toggleTsTag(ts, cat.id, opt.id);
+      chips.appendChild(chip);
+    }
+    row.appendChild(chips);
+    box.appendChild(row);
+  }
+}
+
+// Film filter by tags. Within a category any selected option matches; across categories
+// "all" requires every category to match (AND) and "any" accepts one match (OR).
+let tagFilter = {mode: "all", selected: new Set()}; // selected: "categoryId:optionId"
+
+function tagFilterMatch(ts){
+  if (!tagFilter.selected.size) return true;
+  const byCat = new Map();
+  for (const key of tagFilter.selected){
+    const [catId, optId] = key.split(":");
+    if (!byCat.has(catId)) byCat.set(catId, []);
+    byCat.get(catId).push(optId);
+  }
+  const hits = [...byCat].map(([catId, opts]) => opts.some(o => (ts.tags?.[catId] || []).includes(o)));
+  return tagFilter.mode === "any" ? hits.some(Boolean) : hits.every(Boolean);
+}
+
+function renderTagFilter(){
+  const box = $("tagFilterChips");
+  if (!box) return;
+  box.innerHTML = "";
+  // drop selections whose option no longer exists
+  for (const key of [...tagFilter.selected]){
+    const [catId, optId] = key.split(":");
+    if (!state.tagCategories.some(c => c.id === catId && c.options.some(o => o.id === optId))) tagFilter.selected.delete(key);
+  }
+
+  for (const cat of state.tagCategories){
+    const row = document.createElement("div");
+    row.className = "tagRow";
+    row.innerHTML = `<div class="tagRow__name muted">${escapeHtml(cat.name)}</div>`;
+    const chips = document.createElement("div");
+    chips.className = "row wrap tagRow__chips";
+    for (const opt of cat.options){
+      const key = `${cat.id}:${opt.id}`;
+      const chip = document.createElement("button");
+      chip.className = "chip" + (tagFilter.selected.has(key) ? " is-on" : "");
+      chip.style.setProperty("--chip", cat.color);
+      chip.textContent = opt.label;
+      chip.onclick = () => {
+        if (tagFilter.selected.has(key)) tagFilter.selected.delete(key); else tagFilter.selected.add(key);
+        renderTagFilter();
+        renderTimestampList();
+      };
+      chips.appendChild(chip);
+    }
+    row.appendChild(chips);
+    box.appendChild(row);
+  }
+  $("tagFilterMode").value = tagFilter.mode;
+  const n = tagFilter.selected.size;
+  $("tagFilterBtn").textContent = n ? `Tags (${n})` : "Tags";
+  $("tagFilterBtn").classList.toggle("btn--primary", n > 0);
+}
+
+// Category editor: options are a comma-separated list; existing options keep their IDs by label.
+function openTagCategoryEditor(){
+  const modal = openModal("Tag categories", `
+    <div class="muted">Categories for this project. Renaming an option keeps its tags; removing an option removes it from every timestamp.</div>
+    <div class="stack" id="tagCatRows"></div>
+    <div><button class="btn" id="tagCatAdd">Add category</button></div>
+  `, [{label: "Save", primary: true, onClick: () => saveTagCategories(modal)}]);
+
+  const rows = modal.querySelector("#tagCatRows");
+  const addRow = (cat) => {
+    const row = document.createElement("div");
+    row.className = "row tagCatRow";
+    row.dataset.id = cat.id || "";
+    row.innerHTML = `
+      <input type="color" class="tagCatRow__color" value="${escapeHtml(cat.color)}" title="Chip color" />
+      <input class="input" data-k="name" style="flex:1" placeholder="Category" value="${escapeHtml(cat.name)}" />
+      <div class="row wrap tagOptList" style="flex:3"><button class="btn" data-add-opt title="Add option">+ Option</button></div>
+      <button class="btn btn--danger" data-del-cat title="Remove category">×</button>
+    `;
+    const list = row.querySelector(".tagOptList");
+    // each option keeps its ID in data-id, so renaming it doesn't untag timestamps
+    const addOpt = (opt) => {
+      const el = document.createElement("span");
+      el.className = "tagOptEdit";
+      el.dataset.id = opt.id || "";
+      el.innerHTML = `<input class="input" data-k="option" placeholder="Option" value="${escapeHtml(opt.label)}" /><button class="btn" title="Remove option">×</button>`;
+      el.querySelector("button").onclick = () => el.remove();
+      list.insertBefore(el, list.lastElementChild);
+      return el;
+    };
+    cat.options.forEach(addOpt);
+    list.querySelector("[data-add-opt]").onclick = () => addOpt({label: ""}).querySelector("input").focus();
+    row.querySelector("[data-del-cat]").onclick = () => row.remove();
+    rows.appendChild(row);
+  };
+  state.tagCategories.forEach(addRow);
+  modal.querySelector("#tagCatAdd").onclick = () => addRow({name: "", color: TAG_COLORS[rows.children.length % TAG_COLORS.length], options: []});
+}
+
+function uniqueId(base, taken){
+  let id = base, n = 2;
+  while (taken.has(id)) id = `${base}_${n++}`;
+  taken.add(id);
+  return id;
+}
+
+function saveTagCategories(modal){
+  const takenCats = new Set();
+  const next = [];
+  for (const row of modal.querySelectorAll(".tagCatRow")){
+    const name = row.querySelector('[data-k="name"]').value.trim();
+    if (!name) continue;
+    const prev = state.tagCategories.find(c => c.id === row.dataset.id);
+    const id = uniqueId(prev?.id || fileSlug(name), takenCats);
+    const takenOpts = new Set();
+    const options = [];
+    const optEls = Array.from(row.querySelectorAll(".tagOptEdit"));
+    const kept = new Set(optEls.map(el => el.dataset.id).filter(Boolean));
+    for (const el of optEls){
+      const label = el.querySelector("input").value.trim();
+      if (!label) continue;
+      // a new option named like a removed one gets its ID back (and its tags)
+      const old = prev?.options.find(o => o.id === el.dataset.id) ||
+        (!el.dataset.id && prev?.options.find(o => !kept.has(o.id) && norm(o.label) === norm(label)));
+      options.push({id: uniqueId(old?.id || fileSlug(label), takenOpts), label});
+    }
+    next.push({id, name, color: row.querySelector(".tagCatRow__color").value, options});
+  }
+
+  pushHistory();
+  state.tagCategories = next;
+  // prune timestamp tags that point at removed categories/options
+  for (const ts of state.timestamps){
+    if (!ts.tags) continue;
+    for (const catId of Object.keys(ts.tags)){
+      const cat = next.find(c => c.id === catId);
+      ts.tags[catId] = cat ? ts.tags[catId].filter(o => cat.options.some(x => x.id === o)) : [];
+      if (!ts.tags[catId].length) delete ts.tags[catId];
+    }
+  }
+  saveState();
+  closeModal();
+  renderTagFilter();
+  renderTsTagEditor();
+  renderTimestampList();
+  setStatus("Tag categories saved.");
+}
+
+// -------------------------
+// Telestration (Canvas overlay)
+// -------------------------
+const canvas = $("overlay");
+const wrap = $("playerWrap");
+const ctx = canvas.getContext("2d");
+
+function resizeCanvas(){
+  const r = wrap.getBoundingClientRect();
+  canvas.width = Math.floor(r.width);
+  canvas.height = Math.floor(r.height);
+  redrawAll();
+}
+
+window.addEventListener("resize", () => setTimeout(resizeCanvas, 50));
+
+function relPoint(clientX, clientY){
+  const r = canvas.getBoundingClientRect();
+  const x = (clientX - r.left) / r.width;
+  const y = (clientY - r.top) / r.height;
+  return { x: Math.max(0, Math.min(1, x)), y: Math.max(0, Math.min(1, y)) };
+}
+
+// Every item in ts.drawings stores normalized (0..1) points so it rescales with the canvas.
+//   pen / erase: freehand points
+//   line / arrow / dashed: [start, end]
+//   ellipse / rect: [corner, opposite corner]
+//   text: [anchor] + text
+// Points also carry `t` (ms since the stroke started) so a drawing can be replayed as it was drawn,
+// and freehand points drawn with a pen carry `pressure` (0..1), which sets the line width there.
+// Optional timing: showFrom/showUntil (video seconds) limit when it is visible, animate builds it on screen.
+const SHAPE_TOOLS = ["line", "arrow", "dashed", "ellipse", "rect"];
+const SEQUENCE_GAP = 0.3; // seconds between drawings when building them in order
+const SIMPLIFY_TOLERANCE = 1.2; // px; freehand points closer than this to the simplified line are dropped
+
+// Width multiplier for a pen pressure: light touches thin the line, pressing hard widens it (0.5 = normal).
+const pressureScale = (pressure) => 0.3 + 1.4 * pressure;
+
+// Ramer–Douglas–Peucker on pixel coordinates. Kept points keep their `t` and `pressure`.
+function simplifyPoints(pts, tolerance = SIMPLIFY_TOLERANCE, w = canvas.width, h = canvas.height){
+  if (pts.length < 3) return pts.slice();
+  const keep = new Uint8Array(pts.length);
+  keep[0] = keep[pts.length - 1] = 1;
+  const stack = [[0, pts.length - 1]];
+  while (stack.length){
+    const [first, last] = stack.pop();
+    let maxDist = 0, index = -1;
+    for (let i=first+1;i<last;i++){
+      const d = distToSegment(pts[i].x * w, pts[i].y * h, pts[first].x * w, pts[first].y * h, pts[last].x * w, pts[last].y * h);
+      if (d > maxDist){ maxDist = d; index = i; }
+    }
+    if (maxDist <= tolerance) continue;
+    keep[index] = 1;
+    stack.push([first, index], [index, last]);
+  }
+  return pts.filter((_, i) => keep[i]);
+}
+
+// Freehand strokes render as quadratic curves through the midpoints between samples, with each
+// point as the control, so simplified strokes stay round. Pressure strokes go segment by segment.
+function drawStroke(stroke, c = ctx, w = canvas.width, h = canvas.height){
+  const pts = stroke.points || [];
+  if (pts.length < 2) return;
+  const size = Number(stroke.size || 4) * (stroke.tool === "erase" ? 4 : 1);
+  const xy = pts.map(p => [p.x * w, p.y * h]);
+  const mid = (i) => [(xy[i][0] + xy[i+1][0]) / 2, (xy[i][1] + xy[i+1][1]) / 2];
+  const last = xy.length - 1;
+  c.save();
+  c.lineCap = "round";
+  c.lineJoin = "round";
+  c.globalCompositeOperation = (stroke.tool === "erase") ? "destination-out" : "source-over";
+  c.strokeStyle = stroke.color || "#00E5FF";
+  c.lineWidth = size;
+
+  if (!pts.some(p => p.pressure !== undefined)){
+    c.beginPath();
+    c.moveTo(...xy[0]);
+    for (let i=1;i<last;i++) c.quadraticCurveTo(...xy[i], ...mid(i));
+    c.lineTo(...xy[last]);
+    c.stroke();
+  } else {
+    // segment i runs from the midpoint before point i to the one after it
+    const pressure = (i) => pts[i].pressure ?? 0.5;
+    for (let i=0;i<=last;i++){
+      const from = i === 0 ? xy[0] : mid(i - 1);
+      const to = i === last ? xy[last] : mid(i);
+      c.lineWidth = size * pressureScale(pressure(i));
+      c.beginPath();
+      c.moveTo(...from);
+      c.quadraticCurveTo(...xy[i], ...to);
+      c.stroke();
+    }
+  }
+  c.restore();
+}
+
+function drawArrowHead(c, x1, y1, x2, y2, size){
+  const angle = Math.atan2(y2 - y1, x2 - x1);
+  const len = Math.max(10, size * 3.5);
+  c.beginPath();
+  c.moveTo(x2, y2);
+  c.lineTo(x2 - len * Math.cos(angle - Math.PI / 7), y2 - len * Math.sin(angle - Math.PI / 7));
+  c.lineTo(x2 - len * Math.cos(angle + Math.PI / 7), y2 - len * Math.sin(angle + Math.PI / 7));
+  c.closePath();
+  c.fill();
+}
+
+function drawShape(shape, c = ctx, w = canvas.width, h = canvas.height){
+  const [a, b] = shape.points || [];
+  if (!a || !b) return;
+  const size = Number(shape.size || 4);
+  const x1 = a.x * w, y1 = a.y * h, x2 = b.x * w, y2 = b.y * h;
+
+  c.save();
+  c.lineCap = "round";
+  c.lineJoin = "round";
+  c.strokeStyle = shape.color || "#00E5FF";
+  c.fillStyle = shape.color || "#00E5FF";
+  c.lineWidth = size;
+  if (shape.tool === "dashed") c.setLineDash([size * 3, size * 2.5]);
+
+  // `sweep` < 1 only comes from partialItem() while a timed drawing builds on screen
+  const sweep = shape.sweep ?? 1;
+  c.beginPath();
+  if (shape.tool === "ellipse"){
+    const start = -Math.PI / 2;
+    c.ellipse((x1 + x2) / 2, (y1 + y2) / 2, Math.abs(x2 - x1) / 2, Math.abs(y2 - y1) / 2, 0, start, start + Math.PI * 2 * sweep);
+  } else if (shape.tool === "rect" && sweep < 1){
+    const corners = [[x1,y1],[x2,y1],[x2,y2],[x1,y2],[x1,y1]];
+    const total = 2 * (Math.abs(x2 - x1) + Math.abs(y2 - y1));
+    let left = total * sweep;
+    c.moveTo(x1, y1);
+    for (let i=1;i<corners.length && left > 0;i++){
+      const [ax, ay] = corners[i-1], [bx, by] = corners[i];
+      const seg = Math.hypot(bx - ax, by - ay);
+      const f = seg ? Math.min(1, left / seg) : 1;
+      c.lineTo(ax + (bx - ax) * f, ay + (by - ay) * f);
+      left -= seg;
+    }
+  } else if (shape.tool === "rect"){
+    c.rect(Math.min(x1, x2), Math.min(y1, y2), Math.abs(x2 - x1), Math.abs(y2 - y1));
+  } else {
+    c.moveTo(x1, y1);
+    c.lineTo(x2, y2);
+  }
+  c.stroke();
+
+  if (shape.tool === "arrow" || shape.tool === "dashed"){
+    c.setLineDash([]);
+    drawArrowHead(c, x1, y1, x2, y2, size);
+  }
+  c.restore();
+}
+
+function textFontPx(item, h = canvas.height){
+  return Math.max(10, Math.round(h * (0.025 + Number(item.size || 4) * 0.004)));
+}
+
+function drawText(item, c = ctx, w = canvas.width, h = canvas.height){
+  const p = item.points?.[0];
+  if (!p || !item.text) return;
+  c.save();
+  c.font = `700 ${textFontPx(item, h)}px system-ui, -apple-system, Segoe UI, Roboto, Arial`;
+  c.textBaseline = "top";
+  c.lineWidth = 3;
+  c.strokeStyle = "rgba(0,0,0,0.75)";
+  c.strokeText(item.text, p.x * w, p.y * h);
+  c.fillStyle = item.color || "#00E5FF";
+  c.fillText(item.text, p.x * w, p.y * h);
+  c.restore();
+}
+
+function drawItem(item, c = ctx, w = canvas.width, h = canvas.height){
+  if (item.tool === "text") drawText(item, c, w, h);
+  else if (SHAPE_TOOLS.includes(item.tool)) drawShape(item, c, w, h);
+  else drawStroke(item, c, w, h);
+}
+
+// -------------------------
+// Time-synced telestration
+// -------------------------
+function hasTiming(d){
+  return d.showFrom != null && Number.isFinite(Number(d.showFrom));
+}
+
+function telestrationClock(){
+  return player ? {now: player.getTime(), playing: player.isPlaying()} : null;
+}
+
+// How long the item took to draw (what an animated replay lasts).
+function itemDurationMs(d){
+  if (d.tool === "text") return Math.max(250, (d.text || "").length * 40);
+  const last = d.points?.[d.points.length - 1]?.t;
+  if (Number.isFinite(last) && last > 0) return Math.max(250, last);
+  return SHAPE_TOOLS.includes(d.tool) ? 600 : 1000;
+}
+
+// Copy of the item cut down to `progress` (0..1) of its drawing.
+function partialItem(d, progress){
+  const pts = d.points || [];
+  if (d.tool === "text") return {...d, text: (d.text || "").slice(0, Math.ceil((d.text || "").length * progress))};
+  if (d.tool === "ellipse" || d.tool === "rect") return {...d, sweep: progress};
+  if (SHAPE_TOOLS.includes(d.tool)){
+    const [a, b] = pts;
+    return {...d, points: [a, {x: a.x + (b.x - a.x) * progress, y: a.y + (b.y - a.y) * progress}]};
+  }
+  const ms = progress * itemDurationMs(d);
+  const timed = pts.every(p => Number.isFinite(p.t));
+  const n = timed ? pts.filter(p => p.t <= ms).length : Math.ceil(pts.length * progress);
+  return {...d, points: pts.slice(0, n)};
+}
+
+// What to draw for `d` at the current video time: the item, a partial copy while building, or null when hidden.
+// Untimed drawings are always shown; timed ones only animate while the video plays.
+function timedView(d, clock){
+  if (!hasTiming(d) || !clock) return d;
+  const from = Number(d.showFrom);
+  const until = d.showUntil == null ? Infinity : Number(d.showUntil);
+  if (clock.now < from - 0.05 || clock.now > until) return null;
+  if (!d.animate || !clock.playing) return d;
+  const progress = (clock.now - from) * 1000 / itemDurationMs(d);
+  return progress >= 1 ? d : partialItem(d, Math.max(0, progress));
+}
+
+function updateSelectedTiming(fn){
+  const item = drawings.find(d => d.id === selectedDrawingId);
+  if (!item) return;
+  pushHistory();
+  fn(item);
+  saveState();
+  redrawAll();
+}
+
+// Give every drawing on the timestamp a window so they build one after another in drawing order.
+function sequenceDrawings(){
+  const ts = state.timestamps.find(t => t.id === selectedTsId);
+  if (!ts || !(ts.drawings || []).length){ setStatus("Nothing to sequence on this timestamp."); return; }
+  pushHistory();
+  let cursor = Number(ts.time);
+  for (const d of ts.drawings.slice().sort((a,b) => (a.createdAt || 0) - (b.createdAt || 0))){
+    d.showFrom = cursor;
+    d.showUntil = tsEnd(ts);
+    d.animate = true;
+    cursor += itemDurationMs(d) / 1000 + SEQUENCE_GAP;
+  }
+  saveState();
+  redrawAll();
+  setStatus(`Drawings build in order from ${fmtTime(ts.time)}. Play the clip to watch.`);
+}
+
+// Redraw whenever video time (or play/pause) changes while timed drawings are on screen.
+let lastClockKey = "";
+function telestrationTick(){
+  requestAnimationFrame(telestrationTick);
+  if (!player || !drawings.some(hasTiming)) return;
+  const clock = telestrationClock();
+  const key = `${clock.now}|${clock.playing}`;
+  if (key === lastClockKey) return;
+  lastClockKey = key;
+  redrawAll();
+}
+
+// Committed drawings are rendered once into an offscreen canvas; while a stroke is being drawn
+// only that stroke is painted over a copy of it (redrawActiveStroke).
+const inkCache = document.createElement("canvas");
+const inkCacheCtx = inkCache.getContext("2d");
+
+function redrawAll(){
+  if (inkCache.width !== canvas.width || inkCache.height !== canvas.height){
+    inkCache.width = canvas.width;
+    inkCache.height = canvas.height;
+  }
+  inkCacheCtx.clearRect(0,0,inkCache.width,inkCache.height);
+  const clock = telestrationClock();
+  for (const d of drawings){
+    const shown = timedView(d, clock);
+    if (shown) drawItem(shown, inkCacheCtx, inkCache.width, inkCache.height);
+  }
+  redrawActiveStroke();
+  updateSelectionUI();
+}
+
+function redrawActiveStroke(){
+  ctx.clearRect(0,0,canvas.width,canvas.height);
+  if (inkCache.width && inkCache.height) ctx.drawImage(inkCache, 0, 0);
+  if (activeStroke) drawItem(activeStroke);
+
+  const sel = drawings.find(d => d.id === selectedDrawingId);
+  if (sel) drawSelectionBox(sel);
+  presentUpdate();
+}
+
+function commitDrawing(item){
+  const ts = state.timestamps.find(t => t.id === selectedTsId);
+  if (!ts) return;
+  pushHistory();
+  ts.drawings = ts.drawings || [];
+  ts.drawings.push(item);
+  drawings = ts.drawings;
+  saveState();
+  redrawAll();
+}
+
+function pointerDown(e){
+  if (!drawEnabled) return;
+  if (!selectedTsId){ setStatus("Select a timestamp before drawing."); return; }
+  const p = relPoint(e.clientX, e.clientY);
+
+  if (selectedTool === "select"){
+    const hit = hitTestDrawings(p);
+    selectedDrawingId = hit?.id ?? null;
+    if (hit){
+      canvas.setPointerCapture(e.pointerId);
+      dragState = {start: p, original: hit.points.map(pt => ({...pt})), snapshot: historySnapshot(), moved: false};
+    }
+    redrawAll();
+    return;
+  }
+  const base = {
+    id: uidNumeric(),
+    tool: selectedTool,
+    color: selectedColor,
+    size: Number($("sizeSel").value),
+    createdAt: Date.now()
+  };
+  if (syncDraw && player){
+    const ts = state.timestamps.find(t => t.id === selectedTsId);
+    Object.assign(base, {showFrom: player.getTime(), showUntil: tsEnd(ts), animate: true});
+  }
+
+  if (selectedTool === "text"){
+    const text = (prompt("Label text") || "").trim();
+    if (text) commitDrawing({...base, points: [p], text});
+    return;
+  }
+
+  canvas.setPointerCapture(e.pointerId);
+  strokeStartedAt = performance.now();
+  p.t = 0;
+  if (e.pointerType === "pen" && !SHAPE_TOOLS.includes(selectedTool)) p.pressure = penPressure(e);
+  activeStroke = {...base, points: SHAPE_TOOLS.includes(selectedTool) ? [p, {...p}] : [p]};
+  redrawActiveStroke();
+}
+function pointerMove(e){
+  if (dragState){
+    moveSelectedDrawing(relPoint(e.clientX, e.clientY));
+    return;
+  }
+  if (!drawEnabled || !activeStroke) return;
+  const p = relPoint(e.clientX, e.clientY);
+  p.t = Math.round(performance.now() - strokeStartedAt);
+  if (SHAPE_TOOLS.includes(activeStroke.tool)) activeStroke.points[1] = p;
+  else {
+    if (e.pointerType === "pen") p.pressure = penPressure(e);
+    activeStroke.points.push(p);
+  }
+  redrawActiveStroke();
+}
+function pointerUp(e){
+  if (dragState){
+    if (dragState.moved){
+      if (dragState.snapshot) pushHistory(dragState.snapshot);
+      saveState();
+    }
+    dragState = null;
+    return;
+  }
+  if (!drawEnabled || !activeStroke) return;
+  const item = activeStroke;
+  activeStroke = null;
+  if (SHAPE_TOOLS.includes(item.tool)){
+    // ignore clicks that never dragged out a shape
+    const [a, b] = item.points;
+    if (Math.hypot((b.x - a.x) * canvas.width, (b.y - a.y) * canvas.height) < 4){ redrawAll(); return; }
+  } else {
+    item.points = simplifyPoints(item.points);
+  }
+  commitDrawing(item);
+}
+
+// Rounded so strokes don't store float noise; a pen resting at 0 still draws a thin line.
+function penPressure(e){
+  const pressure = Number.isFinite(e.pressure) ? e.pressure : 0.5;
+  return Math.round(Math.max(0.05, Math.min(1, pressure)) * 100) / 100;
+}
+// -------------------------
+// Select / move / recolor / delete
+// -------------------------
+function distToSegment(px, py, x1, y1, x2, y2){
+  const dx = x2 - x1, dy = y2 - y1;
+  const len2 = dx*dx + dy*dy;
+  const t = len2 ? Math.max(0, Math.min(1, ((px - x1) * dx + (py - y1) * dy) / len2)) : 0;
+  return Math.hypot(px - (x1 + t * dx), py - (y1 + t * dy));
+}
+
+// Pixel bounding box of an item on the overlay.
+function itemBounds(item){
+  const pts = item.points || [];
+  if (item.tool === "text" && pts[0]){
+    ctx.save();
+    ctx.font = `700 ${textFontPx(item)}px system-ui, -apple-system, Segoe UI, Roboto, Arial`;
+    const w = ctx.measureText(item.text || "").width;
+    ctx.restore();
+    const x = pts[0].x * canvas.width, y = pts[0].y * canvas.height;
+    return {x1: x, y1: y, x2: x + w, y2: y + textFontPx(item)};
+  }
+  const xs = pts.map(p => p.x * canvas.width);
+  const ys = pts.map(p => p.y * canvas.height);
+  return {x1: Math.min(...xs), y1: Math.min(...ys), x2: Math.max(...xs), y2: Math.max(...ys)};
+}
+
+function hitTestItem(item, p){
+  const px = p.x * canvas.width, py = p.y * canvas.height;
+  const pts = (item.points || []).map(q => ({x: q.x * canvas.width, y: q.y * canvas.height}));
+  const slop = Number(item.size || 4) / 2 + 6;
+  if (!pts.length) return false;
+
+  if (item.tool === "text" || item.tool === "rect"){
+    const b = itemBounds(item);
+    return px >= b.x1 - slop && px <= b.x2 + slop && py >= b.y1 - slop && py <= b.y2 + slop;
+  }
+  if (item.tool === "ellipse"){
+    const b = itemBounds(item);
+    const rx = Math.max(1, (b.x2 - b.x1) / 2) + slop, ry = Math.max(1, (b.y2 - b.y1) / 2) + slop;
+    const nx = (px - (b.x1 + b.x2) / 2) / rx, ny = (py - (b.y1 + b.y2) / 2) / ry;
+    return nx*nx + ny*ny <= 1;
+  }
+  if (pts.length === 1) return Math.hypot(px - pts[0].x, py - pts[0].y) <= slop;
+  for (let i=1;i<pts.length;i++){
+    if (distToSegment(px, py, pts[i-1].x, pts[i-1].y, pts[i].x, pts[i].y) <= slop) return true;
+  }
+  return false;
+}
+
+// Topmost (most recently drawn) item under the point.
+function hitTestDrawings(p){
+  const clock = telestrationClock();
+  for (let i=drawings.length-1;i>=0;i--){
+    if (!timedView(drawings[i], clock)) continue; // hidden at this video time
+    if (hitTestItem(drawings[i], p)) return drawings[i];
+  }
+  return null;
+}
+
+function drawSelectionBox(item){
+  const b = itemBounds(item);
+  const pad = Number(item.size || 4) / 2 + 4;
+  ctx.save();
+  ctx.strokeStyle = "rgba(255,255,255,0.85)";
+  ctx.lineWidth = 1;
+  ctx.setLineDash([4, 4]);
+  ctx.strokeRect(b.x1 - pad, b.y1 - pad, (b.x2 - b.x1) + pad * 2, (b.y2 - b.y1) + pad * 2);
+  ctx.restore();
+}
+
+function moveSelectedDrawing(p){
+  const item = drawings.find(d => d.id === selectedDrawingId);
+  if (!item) return;
+  // the whole item stops at the canvas edge, so it can't be dragged out of reach
+  const xs = dragState.original.map(pt => pt.x), ys = dragState.original.map(pt => pt.y);
+  const dx = Math.max(-Math.min(...xs), Math.min(1 - Math.max(...xs), p.x - dragState.start.x));
+  const dy = Math.max(-Math.min(...ys), Math.min(1 - Math.max(...ys), p.y - dragState.start.y));
+  item.points = dragState.original.map(pt => ({...pt, x: pt.x + dx, y: pt.y + dy}));
+  dragState.moved = true;
+  redrawAll();
+}
+
+function recolorSelectedDrawing(color){
+  const item = drawings.find(d => d.id === selectedDrawingId);
+  if (!item || item.tool === "erase") return;
+  pushHistory();
+  item.color = color;
+  saveState();
+  redrawAll();
+}
+
+function deleteSelectedDrawing(){
+  const ts = state.timestamps.find(t => t.id === selectedTsId);
+  if (!ts || !selectedDrawingId) return;
+  pushHistory();
+  ts.drawings = (ts.drawings || []).filter(d => d.id !== selectedDrawingId);
+  drawings = ts.drawings;
+  selectedDrawingId = null;
+  saveState();
+  redrawAll();
+  setStatus("Deleted drawing.");
+}
+
+function updateSelectionUI(){
+  const btn = $("deleteShapeBtn");
+  if (btn) btn.style.display = selectedDrawingId ? "" : "none";
+
+  const box = $("selTiming");
+  if (!box) return;
+  const item = drawings.find(d => d.id === selectedDrawingId);
+  box.style.display = item ? "" : "none";
+  if (!item) return;
+  $("selTimingLabel").textContent = hasTiming(item)
+    ? `Shown ${fmtTime(item.showFrom)}–${item.showUntil == null ? "end" : fmtTime(item.showUntil)}`
+    : "Always shown";
+  $("timingAnimateChk").checked = !!item.animate;
+}
+
+// -------------------------
+// Undo / redo (timestamps + drawings, and the tag categories they point at)
+// -------------------------
+const HISTORY_LIMIT = 100;
+let undoStack = []; // historySnapshot() JSON
+let redoStack = [];
+
+const historySnapshot = () => JSON.stringify({timestamps: state.timestamps, tagCategories: state.tagCategories});
+
+// Call before mutating state.timestamps. Pass a snapshot taken earlier when the edit spans several events (drags).
+function pushHistory(snapshot = historySnapshot()){
+  undoStack.push(snapshot);
+  if (undoStack.length > HISTORY_LIMIT) undoStack.shift();
+  redoStack = [];
+}
+
+function clearHistory(){
+  undoStack = [];
+  redoStack = [];
+  if (dragState) dragState.snapshot = null; // the move in progress can't be undone either
+}
+
+// Apply `fn(snapshot)` to every history entry (and a drag in progress), so a change made elsewhere
+// (a live peer) is part of every point undo/redo can return to and is never reverted by them.
+function rebaseHistory(fn){
+  const rebase = (json) => {
+    const snap = JSON.parse(json);
+    fn(snap);
+    return JSON.stringify(snap);
+  };
+  undoStack = undoStack.map(rebase);
+  redoStack = redoStack.map(rebase);
+  if (dragState?.snapshot) dragState.snapshot = rebase(dragState.snapshot);
+}
+
+function restoreTimestamps(list){
+  state.timestamps = list;
+  saveState();
+  if (selectedTsId && state.timestamps.some(t => t.id === selectedTsId)){
+    selectTimestamp(selectedTsId);
+  } else {
+    selectedTsId = null;
+    selectedDrawingId = null;
+    drawings = [];
+    $("tsTitle").value = "";
+    $("tsDesc").value = "";
+    $("tsNotesPrivate").checked = false;
+    $("tsTimePill").textContent = "—";
+    $("athleteTagList").innerHTML = "";
+    $("tsTagEditor").innerHTML = "";
+    renderComments();
+    redrawAll();
+    renderTimestampList();
+    renderAthleteSearchResults();
+  }
+}
+
+function restoreHistory(json){
+  const {timestamps, tagCategories} = JSON.parse(json);
+  const tagsChanged = JSON.stringify(tagCategories) !== JSON.stringify(state.tagCategories);
+  state.tagCategories = tagCategories;
+  restoreTimestamps(timestamps);
+  if (tagsChanged){
+    renderTagFilter();
+    renderTsTagEditor();
+  }
+}
+
+function undo(){
+  if (!undoStack.length){ setStatus("Nothing to undo."); return; }
+  redoStack.push(historySnapshot());
+  restoreHistory(undoStack.pop());
+  setStatus("Undo.");
+}
+
+function redo(){
+  if (!redoStack.length){ setStatus("Nothing to redo."); return; }
+  undoStack.push(historySnapshot());
+  restoreHistory(redoStack.pop());
+  setStatus("Redo.");
+}
+
+canvas.addEventListener("pointerdown", pointerDown);
+canvas.addEventListener("pointermove", pointerMove);
+canvas.addEventListener("pointerup", pointerUp);
+canvas.addEventListener("pointercancel", pointerUp);
+
+// -------------------------
+// Player adapters
+// -------------------------
+// Everything outside this section talks to `player` through the same small surface,
+// so YouTube and local files behave the same for timestamps, shortcuts and the time pill:
+//   play(), pause(), seek(sec), getTime(), getDuration(), isPlaying(), isMuted(), setMuted(bool)
+function createYouTubeAdapter(yt){
+  return {
+    kind: "youtube",
+    play: () => yt.playVideo?.(),
+    pause: () => yt.pauseVideo?.(),
+    seek: (sec) => yt.seekTo?.(Math.max(0, sec), true),
+    getTime: () => yt.getCurrentTime?.() ?? 0,
+    getDuration: () => yt.getDuration?.() ?? 0,
+    isPlaying: () => yt.getPlayerState?.() === 1,
+    isMuted: () => yt.isMuted?.() ?? true,
+    setMuted: (m) => { m ? yt.mute?.() : yt.unMute?.(); },
+    getRate: () => yt.getPlaybackRate?.() ?? 1,
+    setRate: (r) => yt.setPlaybackRate?.(r),
+    maxRate: 2, // YouTube offers 0.25x–2x
+    canStepFrames: false // no frame access in the embed
+  };
+}
+
+function createVideoAdapter(video){
+  return {
+    kind: "local",
+    play: () => { video.play().catch(() => {}); },
+    pause: () => video.pause(),
+    seek: (sec) => {
+      const dur = Number.isFinite(video.duration) ? video.duration : Infinity;
+      video.currentTime = Math.max(0, Math.min(dur, sec));
+    },
+    getTime: () => video.currentTime || 0,
+    getDuration: () => Number.isFinite(video.duration) ? video.duration : 0,
+    isPlaying: () => !video.paused && !video.ended,
+    isMuted: () => video.muted,
+    setMuted: (m) => { video.muted = m; },
+    getRate: () => video.playbackRate,
+    setRate: (r) => { video.playbackRate = r; },
+    maxRate: 4,
+    canStepFrames: true
+  };
+}
+
+// Show the element for the chosen source and point `player` at its adapter.
+function useVideoSource(kind){
+  const video = $("localVideo");
+  const ytEl = $("player");
+  const isLocal = kind === "local";
+  video.style.display = isLocal ? "block" : "none";
+  if (ytEl) ytEl.style.display = isLocal ? "none" : "block";
+
+  if (isLocal){
+    ytPlayer?.pauseVideo?.();
+    player = createVideoAdapter(video);
+  } else {
+    video.pause();
+    player = ytPlayer ? createYouTubeAdapter(ytPlayer) : null;
+  }
+  stopShuttle(false);
+  setTimeout(resizeCanvas, 60);
+}
+
+async function openLocalVideo(){
+  const file = await pickFile("video/*,.mp4,.mov,.m4v,.webm");
+  if (!file) return;
+  if (localVideoUrl) URL.revokeObjectURL(localVideoUrl);
+  localVideoUrl = URL.createObjectURL(file);
+
+  const video = $("localVideo");
+  video.src = localVideoUrl;
+  video.load();
+
+  video.dataset.fileName = file.name;
+
+  state.videoSource = "local";
+  state.localVideoName = file.name;
+  saveState();
+  useVideoSource("local");
+  setStatus(`Opened local file: ${file.name}`);
+}
+
+function injectYouTubeApi(){
+  const tag = document.createElement("script");
+  tag.src = "https://www.youtube.com/iframe_api";
+  document.head.appendChild(tag);
+}
+
+window.onYouTubeIframeAPIReady = () => {
+  ytPlayer = new YT.Player("player", {
+    height: "100%",
+    width: "100%",
+    videoId: state.youtubeId || undefined,
+    playerVars: { playsinline: 1, rel: 0, modestbranding: 1, iv_load_policy: 3, controls: 0, disablekb: 1, origin: window.location.origin },
+    events: {
+      onReady: () => {
+        playerReady = true;
+        // If user clicked Load before the player finished initializing, honor it now.
+        if (pendingVideoId) {
+          ytPlayer.cueVideoById(pendingVideoId);
+          pendingVideoId = null;
+          state.videoSource = "youtube";
+        } else if (state.youtubeId) {
+          ytPlayer.cueVideoById(state.youtubeId);
+        }
+        if (state.videoSource !== "local"){
+          useVideoSource("youtube");
+          setStatus("Player ready.");
+        } else {
+          // keep the local element visible, but hide the freshly created iframe
+          useVideoSource("local");
+        }
+        setTimeout(resizeCanvas, 60);
+      },
+      onError: (e) => {
+        const code = e?.data;
+        const map = {
+          2: "Invalid video ID or parameter.",
+          5: "HTML5 player error.",
+          100: "Video not found (removed/private).",
+          101: "Embed not allowed OR origin/restriction issue.",
+          150: "Embed not allowed OR origin/restriction issue."
+        };
+        setStatus(`Player error (${code}). ${map[code] || "Unknown error."}`);
+        console.warn("YT error:", e);
+      }
+    }
+  });
+};
+
+function bindLocalVideoEvents(){
+  const video = $("localVideo");
+  video.addEventListener("loadedmetadata", () => {
+    setTimeout(resizeCanvas, 60);
+    if (player?.kind === "local") player.setRate(settings.playbackRate); // load() resets the element's rate
+  });
+  video.addEventListener("error", () => {
+    if (state.videoSource === "local") setStatus("Could not play this file. Try an MP4 (H.264) or WebM.");
+  });
+}
+
+// -------------------------
+// Speed, shuttle (J/K/L) and stepping
+// -------------------------
+const PLAYBACK_RATES = [0.25, 0.5, 0.75, 1, 1.5, 2];
+const SHUTTLE_LEVELS = 3; // repeated J/L: base speed ×1, ×2, ×4
+const REWIND_TICK = 200; // ms between seeks while rewinding (neither player can play backwards)
+let shuttle = 0; // >0 playing forward at that level, <0 rewinding, 0 idle
+let rewindTimer = null;
+let kHeld = false; // K held: J/L step a single frame instead
+
+const fmtRate = (r) => `${Number(r.toFixed(2))}x`;
+
+function shuttleRate(level){
+  return Math.min(settings.playbackRate * 2 ** (Math.abs(level) - 1), player?.maxRate ?? 2);
+}
+
+// Plain play/pause (button, space) always runs at the chosen base speed.
+function togglePlay(){
+  if (!player) return;
+  if (player.isPlaying() || shuttle < 0) return stopShuttle();
+  stopShuttle(false);
+  player.play();
+}
+
+// L: play forward; each repeat doubles the speed.
+function shuttleForward(){
+  if (!player) return;
+  stopRewind();
+  shuttle = shuttle > 0 && player.isPlaying() ? Math.min(shuttle + 1, SHUTTLE_LEVELS) : 1;
+  player.setRate(shuttleRate(shuttle));
+  player.play();
+  updateSpeedUI();
+}
+
+// J: rewind in small seeks; each repeat rewinds faster.
+function shuttleReverse(){
+  if (!player) return;
+  shuttle = shuttle < 0 ? Math.max(shuttle - 1, -SHUTTLE_LEVELS) : -1;
+  player.pause();
+  player.setRate(settings.playbackRate);
+  if (!rewindTimer) rewindTimer = setInterval(rewindTick, REWIND_TICK);
+  updateSpeedUI();
+}
+
+function rewindTick(){
+  if (!player || shuttle >= 0) return stopRewind();
+  const t = player.getTime();
+  if (t <= 0) return stopShuttle();
+  player.seek(t - (REWIND_TICK / 1000) * shuttleRate(shuttle));
+}
+
+function stopRewind(){
+  clearInterval(rewindTimer);
+  rewindTimer = null;
+  if (shuttle < 0) shuttle = 0;
+}
+
+// K: stop and drop back to the base speed. `pause` = false only resets the shuttle.
+function stopShuttle(pause = true){
+  stopRewind();
+  shuttle = 0;
+  if (player){
+    if (pause) player.pause();
+    player.setRate(settings.playbackRate);
+  }
+  updateSpeedUI();
+}
+
+function setPlaybackRate(rate){
+  settings.playbackRate = rate;
+  saveSettings();
+  if (shuttle > 0) shuttle = 1;
+  player?.setRate(shuttleRate(Math.max(1, shuttle)));
+  updateSpeedUI();
+}
+
+function stepBy(sec){
+  if (!player) return;
+  stopRewind();
+  player.seek(player.getTime() + sec);
+  updateSpeedUI();
+}
+
+// One frame on local files (settings.frameRate); YouTube falls back to 0.1s.
+function stepFrame(dir){
+  if (!player) return;
+  stopShuttle();
+  if (!player.canStepFrames) return stepBy(dir * 0.1);
+  const fps = settings.frameRate;
+  const frame = Math.floor(player.getTime() * fps + 1e-6) + dir;
+  player.seek(Math.max(0, frame) / fps + 0.001); // land just inside the frame
+}
+
+function setStepSize(sec){
+  settings.stepSize = sec;
+  saveSettings();
+  updateSpeedUI();
+}
+
+function updateSpeedUI(){
+  const label = $("rateLabel");
+  if (label){
+    label.textContent = shuttle < 0 ? `◀◀ ${fmtRate(shuttleRate(shuttle))}` : fmtRate(shuttle > 0 ? shuttleRate(shuttle) : settings.playbackRate);
+    label.classList.toggle("is-fast", shuttle !== 0);
+  }
+  if ($("speedSel")) $("speedSel").value = String(settings.playbackRate);
+  if ($("stepSizeInput") && document.activeElement !== $("stepSizeInput")) $("stepSizeInput").value = settings.stepSize;
+  if ($("fpsSel")) $("fpsSel").value = String(settings.frameRate);
+  const step = `${Number(settings.stepSize.toFixed(2))}s`;
+  $("backBtn").title = `Step back ${step}`;
+  $("fwdBtn").title = `Step forward ${step}`;
+  const frames = !player || player.canStepFrames;
+  for (const id of ["frameBackBtn", "frameFwdBtn"]){
+    if ($(id)) $(id).title = frames ? `${id === "frameBackBtn" ? "Previous" : "Next"} frame (K+${id === "frameBackBtn" ? "J" : "L"})` : "YouTube has no frame access — steps 0.1s";
+  }
+}
+
+// Bring the player to another window's position ({time, playing, rate}); small drift is left alone.
+function matchPlayback(msg, drift){
+  if (!player || !Number.isFinite(msg.time)) return;
+  const rate = Math.min(player.maxRate, Number(msg.rate) || 1);
+  if (player.getRate() !== rate) player.setRate(rate);
+  if (Math.abs(player.getTime() - msg.time) > drift) player.seek(msg.time);
+  if (msg.playing && !player.isPlaying()) player.play();
+  else if (!msg.playing && player.isPlaying()) player.pause();
+}
+
+// -------------------------
+// Reels (ordered playlists of timestamps)
+// -------------------------
+const REEL_DEFAULT_CLIP = 6; // seconds played for timestamps that have no end time
+let selectedReelId = null;
+let reelPlayback = null; // {reelId, index, start, until} while a reel plays
+
+function getReel(id){
+  return (state.reels || []).find(r => r.id === id) || null;
+}
+
+// Timestamps of a reel in reel order. IDs of deleted timestamps are skipped (kept so undo can bring them back).
+function reelClips(reel){
+  return (reel?.tsIds || []).map(id => state.timestamps.find(t => t.id === id)).filter(Boolean);
+}
+
+function clipLength(ts){
+  const end = tsEnd(ts);
+  return end === null ? REEL_DEFAULT_CLIP : end - ts.time;
+}
+
+function createReel(tsIds, name){
+  const reel = {id: uidNumeric(), name: name || "New reel", tsIds: tsIds.slice()};
+  state.reels.push(reel);
+  selectedReelId = reel.id;
+  saveState();
+  renderReels();
+  setStatus(`Created reel "${reel.name}" with ${tsIds.length} clips.`);
+  return reel;
+}
+
+function createReelFromFilter(){
+  const q = $("tsFilter").value.trim();
+  const list = getFilteredTimestamps();
+  if (!list.length){ setStatus("The current filter has no timestamps."); return; }
+  createReel(list.map(ts => ts.id), q ? `Filter: ${q}` : "All timestamps");
+}
+
+function renameReel(id, name){
+  const reel = getReel(id);
+  if (!reel) return;
+  reel.name = name.trim() || "Untitled reel";
+  saveState();
+  renderReelList();
+}
+
+function deleteReel(id){
+  const reel = getReel(id);
+  if (!reel) return;
+  if (!confirm(`Delete reel "${reel.name}"? The timestamps themselves are kept.`)) return;
+  if (reelPlayback?.reelId === id) stopReel();
+  state.reels = state.reels.filter(r => r.id !== id);
+  if (selectedReelId === id) selectedReelId = null;
+  saveState();
+  renderReels();
+}
+
+function addToReel(tsId){
+  const reel = getReel(selectedReelId);
+  if (!reel) return;
+  reel.tsIds.push(tsId);
+  saveState();
+  renderReels();
+}
+
+function removeFromReel(index){
+  const reel = getReel(selectedReelId);
+  if (!reel) return;
+  reel.tsIds.splice(index, 1);
+  saveState();
+  renderReels();
+}
+
+function moveReelClip(from, to){
+  const reel = getReel(selectedReelId);
+  if (!reel || from === to) return;
+  const [id] = reel.tsIds.splice(from, 1);
+  reel.tsIds.splice(to, 0, id);
+  saveState();
+  renderReels();
+}
+
+function renderReels(){
+  renderReelList();
+  renderReelEditor();
+}
+
+function renderReelList(){
+  const box = $("reelList");
+  if (!box) return;
+  box.innerHTML = "";
+  $("reelFilterHint").textContent = `${getFilteredTimestamps().length} timestamps match the film filter${$("tsFilter").value.trim() ? ` "${$("tsFilter").value.trim()}"` : ""}.`;
+
+  if (!state.reels.length){
+    box.innerHTML = `<div class="muted">No reels yet.</div>`;
+    return;
+  }
+  for (const reel of state.reels){
+    const clips = reelClips(reel);
+    const total = clips.reduce((sum, ts) => sum + clipLength(ts), 0);
+    const div = document.createElement("div");
+    div.className = "ts" + (reel.id === selectedReelId ? " is-selected" : "");
+    div.innerHTML = `
+      <div class="ts__top">
+        <div class="ts__title">${escapeHtml(reel.name)}</div>
+        <div class="pill">${clips.length} clips • ${fmtDuration(total)}</div>
+      </div>
+    `;
+    div.onclick = () => { selectedReelId = reel.id; renderReels(); };
+    box.appendChild(div);
+  }
+}
+
+function renderReelEditor(){
+  const editor = $("reelEditor");
+  if (!editor) return;
+  const reel = getReel(selectedReelId);
+  editor.style.display = reel ? "" : "none";
+  $("reelEmpty").style.display = reel ? "none" : "";
+  if (!reel) return;
+
+  if (document.activeElement !== $("reelName")) $("reelName").value = reel.name;
+
+  const list = $("reelClipList");
+  list.innerHTML = "";
+  reel.tsIds.forEach((id, index) => {
+    const ts = state.timestamps.find(t => t.id === id);
+    if (!ts) return;
+    const row = document.createElement("div");
+    row.className = "reelClip";
+    row.draggable = true;
+    row.innerHTML = `
+      <span class="reelClip__handle" aria-hidden="true">⋮⋮</span>
+      <span class="pill">${index + 1}</span>
+      <div class="reelClip__label">${tsRangeLabel(ts)} — ${escapeHtml(ts.title || "Untitled")}</div>
+      <button class="btn" data-act="play">Play from here</button>
+      <button class="btn btn--danger" data-act="remove">Remove</button>
+    `;
+    row.addEventListener("dragstart", (e) => {
+      e.dataTransfer.setData("text/plain", String(index));
+      e.dataTransfer.effectAllowed = "move";
+    });
+    row.addEventListener("dragover", (e) => { e.preventDefault(); row.classList.add("is-dragover"); });
+    row.addEventListener("dragleave", () => row.classList.remove("is-dragover"));
+    row.addEventListener("drop", (e) => {
+      e.preventDefault();
+      moveReelClip(Number(e.dataTransfer.getData("text/plain")), index);
+    });
+    row.querySelector('[data-act="play"]').onclick = () => playReel(reel.id, index);
+    row.querySelector('[data-act="remove"]').onclick = () => removeFromReel(index);
+    list.appendChild(row);
+  });
+  if (!list.children.length) list.innerHTML = `<div class="muted">Add timestamps from the list below.</div>`;
+
+  // hand-pick list
+  const q = norm($("reelPickSearch").value);
+  const pick = $("reelPickList");
+  pick.innerHTML = "";
+  const inReel = new Set(reel.tsIds);
+  const candidates = state.timestamps.slice().sort((a,b)=>a.time-b.time)
+    .filter(ts => !q || tsSearchIndex(ts).includes(q));
+  for (const ts of candidates){
+    const row = document.createElement("div");
+    row.className = "athRow";
+    row.innerHTML = `
+      <div class="athLabel">
+        <div class="athMain">${tsRangeLabel(ts)} — ${escapeHtml(ts.title || "Untitled")}</div>
+        <div class="athSub">${escapeHtml((ts.description || "").slice(0, 80))}</div>
+      </div>
+      <button class="btn ${inReel.has(ts.id) ? "" : "btn--primary"}">${inReel.has(ts.id) ? "Add again" : "Add"}</button>
+    `;
+    row.querySelector("button").onclick = () => addToReel(ts.id);
+    pick.appendChild(row);
+  }
+}
+
+function playReel(id, index = 0){
+  const reel = getReel(id);
+  if (!reel || !player) { if (!player) setStatus("Load a video before playing a reel."); return; }
+  if (!reelClips(reel).length){ setStatus("This reel has no clips."); return; }
+  reelPlayback = {reelId: id, index: Math.min(index, reel.tsIds.length - 1)};
+  setTab("film");
+  showReelClip();
+}
+
+// Select the current reel clip (drawings + notes) and play it from its start.
+function showReelClip(){
+  const reel = getReel(reelPlayback?.reelId);
+  if (!reel) { stopReel(); return; }
+  // skip IDs of deleted timestamps
+  while (reelPlayback.index < reel.tsIds.length && !state.timestamps.some(t => t.id === reel.tsIds[reelPlayback.index])) reelPlayback.index++;
+  const ts = state.timestamps.find(t => t.id === reel.tsIds[reelPlayback.index]);
+  if (!ts){
+    stopReel();
+    player?.pause();
+    setStatus(`Reel "${reel.name}" finished.`);
+    return;
+  }
+  stopLoop();
+  selectTimestamp(ts.id);
+  reelPlayback.start = Number(ts.time);
+  reelPlayback.until = Number(ts.time) + clipLength(ts);
+  player.seek(ts.time);
+  player.play();
+  updateReelBar();
+}
+
+function stepReel(delta){
+  const reel = getReel(reelPlayback?.reelId);
+  if (!reel) return;
+  if (delta < 0){
+    // walk back past deleted timestamps
+    let i = reelPlayback.index - 1;
+    while (i > 0 && !state.timestamps.some(t => t.id === reel.tsIds[i])) i--;
+    reelPlayback.index = Math.max(0, i);
+  } else {
+    reelPlayback.index += 1;
+  }
+  showReelClip();
+}
+
+function stopReel(){
+  if (!reelPlayback) return;
+  reelPlayback = null;
+  updateReelBar();
+}
+
+// Polled with the loop check. Seeking far outside the clip means the coach took over: stop the reel.
+function checkReel(){
+  if (!reelPlayback || !player || reelPlayback.until == null) return;
+  const t = player.getTime();
+  if (t < reelPlayback.start - 1 || t > reelPlayback.until + 1.5){
+    stopReel();
+    return;
+  }
+  if (t >= reelPlayback.until) stepReel(1);
+}
+
+function updateReelBar(){
+  const bar = $("reelBar");
+  if (!bar) return;
+  const reel = getReel(reelPlayback?.reelId);
+  bar.style.display = reel ? "" : "none";
+  if (!reel) return;
+  const ts = state.timestamps.find(t => t.id === reel.tsIds[reelPlayback.index]);
+  const position = reel.tsIds.slice(0, reelPlayback.index + 1).filter(id => state.timestamps.some(t => t.id === id)).length;
+  $("reelBarLabel").textContent = `${reel.name} — clip ${position}/${reelClips(reel).length}`;
+  $("reelBarTitle").textContent = ts ? `${tsRangeLabel(ts)} ${ts.title || "Untitled"}` : "";
+  $("reelBarNotes").textContent = ts?.description || "";
+}
+
+// -------------------------
+// Project library
+// -------------------------
+function resetTimestampEditor(){
+  selectedTsId = null;
+  selectedDrawingId = null;
+  pendingMarkIn = null;
+  stopLoop();
+  drawings = [];
+  activeStroke = null;
+  $("tsTitle").value = "";
+  $("tsDesc").value = "";
+  $("tsNotesPrivate").checked = false;
+  $("tsTimePill").textContent = "—";
+  $("tsFilter").value = "";
+  $("athSearch").value = "";
+  $("athleteTagList").innerHTML = "";
+  $("tsTagEditor").innerHTML = "";
+  renderComments();
+  updateFilterX();
+  redrawAll();
+}
+
+// Point the player at whatever source the open project uses. Returns a status hint.
+function loadProjectVideo(){
+  $("ytUrl").value = state.youtubeUrl || "";
+  if (state.youtubeId) {
+    if (playerReady && ytPlayer?.cueVideoById) ytPlayer.cueVideoById(state.youtubeId);
+    else pendingVideoId = state.youtubeId;
+  }
+
+  if (state.videoSource === "local"){
+    const video = $("localVideo");
+    if (video.dataset.fileName !== state.localVideoName){
+      // don't show another game's film under this project's telestration
+      video.removeAttribute("src");
+      video.dataset.fileName = "";
+      video.load();
+    }
+    useVideoSource("local");
+    return video.dataset.fileName ? "" : `Open "${state.localVideoName || "the video file"}" to attach local film.`;
+  }
+  useVideoSource("youtube");
+  return "";
+}
+
+function refreshProjectUI(msg){
+  checkLiveProject();
+  clearHistory();
+  tagFilter.selected.clear();
+  renderTagFilter();
+  stopReel();
+  selectedReelId = null;
+  resetTimestampEditor();
+  const hint = loadProjectVideo();
+  if (getTeam(athleteTeamFilter) === null && !["all", "ours", "opponent"].includes(athleteTeamFilter)) athleteTeamFilter = "all";
+  renderTeams();
+  renderRosterTable();
+  renderTimestampList();
+  renderAthleteSearchResults();
+  renderProjectList();
+  renderProjectPill();
+  const text = [msg, hint].filter(Boolean).join(" ");
+  if (text) setStatus(text);
+}
+
+function renderProjectPill(){
+  const pill = $("projectPill");
+  if (!pill) return;
+  pill.textContent = [state.name || "Untitled project", state.opponent ? `vs ${state.opponent}` : ""].filter(Boolean).join(" ");
+}
+
+function openProject(id){
+  if (id === state.projectId) return;
+  const p = readProject(id);
+  if (!p){ setStatus("Could not open project (missing from storage)."); return; }
+  saveState(); // flush the project we're leaving
+  applyProject(p);
+  saveLibrary();
+  refreshProjectUI(`Opened project "${state.name}".`);
+}
+
+function createProject(fields = {}){
+  saveState();
+  applyProject(blankProject({date: new Date().toISOString().slice(0,10), ...fields}));
+  saveState();
+  refreshProjectUI(`Created project "${state.name}" (roster kept).`);
+}
+
+function newProject(){
+  createProject({
+    name: $("p-name")?.value.trim() || "Untitled project",
+    opponent: $("p-opponent")?.value.trim() || "",
+    homeTeamId: $("p-home")?.value ? Number($("p-home").value) : null,
+    awayTeamId: $("p-away")?.value ? Number($("p-away").value) : null,
+    date: $("p-date")?.value || new Date().toISOString().slice(0,10)
+  });
+  if ($("p-name")) $("p-name").value = "";
+  if ($("p-opponent")) $("p-opponent").value = "";
+}
+
+function duplicateProject(id){
+  if (id === state.projectId) saveState();
+  const src = readProject(id);
+  if (!src) return;
+  const copy = {...JSON.parse(JSON.stringify(src)), projectId: uidNumeric(), name: `${src.name || "Untitled project"} (copy)`};
+  writeProject(copy);
+  renderProjectList();
+  setStatus(`Duplicated "${src.name || "Untitled project"}".`);
+}
+
+function deleteProject(id){
+  const meta = library.projects.find(x => x.id === id);
+  if (!meta) return;
+  if (!confirm(`Delete project "${meta.name}" and all its timestamps? This cannot be undone.`)) return;
+
+  deleteStoredProject(id);
+  library.projects = library.projects.filter(x => x.id !== id);
+  saveLibrary();
+
+  if (id === state.projectId){
+    const next = library.projects[0] && readProject(library.projects[0].id);
+    applyProject(next || blankProject());
+    saveState();
+    refreshProjectUI(`Deleted project "${meta.name}".`);
+  } else {
+    renderProjectList();
+    setStatus(`Deleted project "${meta.name}".`);
+  }
+}
+
+// Inline edits from the project table (name/opponent/date/home/away).
+function updateProjectField(id, field, value){
+  if (id === state.projectId){
+    state[field] = value;
+    saveState();
+    return;
+  }
+  const p = readProject(id);
+  if (!p) return;
+  p[field] = value;
+  writeProject(p);
+}
+
+function renderProjectList(){
+  const tbody = $("projectTbody");
+  if (!tbody) return;
+  tbody.innerHTML = "";
+
+  const rows = library.projects
+    .slice()
+    .sort((a,b) => String(b.date||"").localeCompare(String(a.date||"")) || (b.updatedAt||0) - (a.updatedAt||0));
+
+  for (const p of rows){
+    const isActive = p.id === state.projectId;
+    const tr = document.createElement("tr");
+    tr.className = isActive ? "is-current" : "";
+    tr.innerHTML = `
+      <td><input class="input" data-field="name" value="${escapeHtml(p.name)}" /></td>
+      <td><input class="input" data-field="opponent" value="${escapeHtml(p.opponent)}" placeholder="Opponent" /></td>
+      <td><select class="select" data-field="homeTeamId">${teamOptions(p.homeTeamId, "—")}</select></td>
+      <td><select class="select" data-field="awayTeamId">${teamOptions(p.awayTeamId, "—")}</select></td>
+      <td><input class="input" type="date" data-field="date" value="${escapeHtml(p.date)}" /></td>
+      <td class="muted">${escapeHtml(p.videoLabel || "—")}</td>
+      <td>${p.timestampCount || 0}</td>
+      <td class="muted">${p.updatedAt ? new Date(p.updatedAt).toLocaleString() : ""}</td>
+      <td style="text-align:right;white-space:nowrap">
+        ${isActive ? `<span class="pill">Open</span>` : `<button class="btn btn--primary" data-act="open">Open</button>`}
+        <button class="btn" data-act="dup">Duplicate</button>
+        <button class="btn btn--danger" data-act="del">Delete</button>
+      </td>
+    `;
+    tr.querySelectorAll("[data-field]").forEach(inp => {
+      inp.addEventListener("change", () => {
+        const isTeam = inp.tagName === "SELECT";
+        updateProjectField(p.id, inp.dataset.field, isTeam ? (inp.value ? Number(inp.value) : null) : inp.value.trim());
+        renderProjectList();
+        if (isTeam && p.id === state.projectId) renderTeamSelects();
+      });
+    });
+    tr.querySelector('[data-act="open"]')?.addEventListener("click", () => { openProject(p.id); setTab("film"); });
+    tr.querySelector('[data-act="dup"]').onclick = () => duplicateProject(p.id);
+    tr.querySelector('[data-act="del"]').onclick = () => deleteProject(p.id);
+    tbody.appendChild(tr);
+  }
+}
+
+// -------------------------
+// Project import/export
+// -------------------------
+function exportProject(){
+  const file = {...state, schemaVersion: SCHEMA_VERSION, exportedAt: new Date().toISOString()};
+  downloadText(`coachboard_${fileSlug(state.name)}.json`, JSON.stringify(file, null, 2), "application/json");
+  setStatus("Exported project JSON.");
+}
+
+// Imports land as a new project in the library; the file's roster and teams are merged by ID into the shared ones.
+async function importProject(){
+  const file = await pickFile("application/json,.json");
+  if (!file) return;
+  const text = await file.text();
+  let obj;
+  try {
+    obj = JSON.parse(text);
+  } catch (err) {
+    showValidationReport("Import failed", `${file.name} is not valid JSON.`, [String(err.message || err)]);
+    setStatus("Import failed: invalid project JSON.");
+    return;
+  }
+
+  const {project, errors, repairs} = validateProject(obj);
+  if (!project){
+    showValidationReport("Import failed", `${file.name} can't be imported:`, errors);
+    setStatus("Import failed: see details.");
+    return;
+  }
+
+  // Teams match ours by ID and name, or by name alone (as in planMerge); the rest are added.
+  const teamMap = new Map(); // their team ID -> ours
+  for (const t of project.teams || []){
+    const mine = state.teams.find(x => x.id === t.id && norm(x.name) === norm(t.name)) || findTeamByName(t.name);
+    if (mine){ teamMap.set(t.id, mine.id); continue; }
+    const added = state.teams.some(x => x.id === t.id) ? {...t, id: uidNumeric() + state.teams.length} : {...t};
+    teamMap.set(t.id, added.id);
+    state.teams.push(added);
+  }
+  const byId = new Map(state.roster.map(a => [Number(a.id), a]));
+  for (const a of project.roster || []) byId.set(Number(a.id), {...a, teamId: teamMap.get(a.teamId) ?? null});
+  state.roster = Array.from(byId.values());
+
+  const {roster: _roster, teams: _teams, exportedAt: _when, ...rest} = project;
+  if (library.projects.some(p => p.id === rest.projectId)) rest.projectId = uidNumeric();
+  if (!obj.name) rest.name = file.name.replace(/\.json$/i, "");
+  saveState();
+  applyProject(rest);
+  saveState();
+  refreshProjectUI(`Imported project "${state.name}".`);
+  if (repairs.length){
+    showValidationReport("Imported with fixes", `${file.name} was imported. These problems were repaired:`, repairs);
+  }
+}
+
+// -------------------------
+// Timestamp exports (chapters, subtitles, spreadsheet)
+// -------------------------
+// Each format turns the filtered timestamp list into text. Subtitle cues last until the clip end, or
+// REEL_DEFAULT_CLIP seconds for single moments (same as reels).
+const TS_EXPORTS = {
+  chapters: {label: "YouTube chapters", ext: "txt", mime: "text/plain", build: buildChapters},
+  vtt: {label: "WebVTT subtitles", ext: "vtt", mime: "text/vtt", build: (list) => buildCues(list, "vtt")},
+  srt: {label: "SRT subtitles", ext: "srt", mime: "application/x-subrip", build: (list) => buildCues(list, "srt")},
+  csv: {label: "CSV (spreadsheet)", ext: "csv", mime: "text/csv", build: buildTimestampCSV}
+};
+const CHAPTER_MIN_GAP = 10; // seconds; YouTube ignores chapter lists with shorter chapters
+
+// 0:05, 12:34, 1:02:03 — the forms YouTube recognizes in descriptions.
+function fmtClock(sec){
+  sec = Math.max(0, Math.floor(sec));
+  const h = Math.floor(sec / 3600);
+  const m = Math.floor(sec / 60) % 60;
+  const s = String(sec % 60).padStart(2, "0");
+  return h ? `${h}:${String(m).padStart(2, "0")}:${s}` : `${m}:${s}`;
+}
+
+// 00:01:02.345 (VTT) or 00:01:02,345 (SRT)
+function fmtCueTime(sec, sep){
+  const ms = Math.max(0, Math.round(sec * 1000));
+  const pad = (n, w = 2) => String(n).padStart(w, "0");
+  return `${pad(Math.floor(ms / 3600000))}:${pad(Math.floor(ms / 60000) % 60)}:${pad(Math.floor(ms / 1000) % 60)}${sep}${pad(ms % 1000, 3)}`;
+}
+
+// Returns {text, warnings}. YouTube needs a 0:00 first chapter, at least three chapters, each 10s+.
+function buildChapters(list){
+  const warnings = [];
+  const lines = list.map(ts => ({time: Math.floor(ts.time), title: (ts.title || "Untitled").replace(/\s+/g, " ").trim()}));
+  // a first play within the opening seconds becomes the 0:00 chapter instead of a tiny "Intro"
+  if (lines.length && lines[0].time < CHAPTER_MIN_GAP) lines[0].time = 0;
+  else lines.unshift({time: 0, title: "Intro"});
+  if (lines.length < 3) warnings.push("YouTube needs at least 3 chapters.");
+  const short = lines.filter((l, i) => i > 0 && l.time - lines[i - 1].time < CHAPTER_MIN_GAP).length;
+  if (short) warnings.push(`${short} chapters start less than ${CHAPTER_MIN_GAP}s after the previous one; YouTube won't show chapters until they are spaced out.`);
+  return {text: lines.map(l => `${fmtClock(l.time)} ${l.title}`).join("\n"), warnings};
+}
+
+function buildCues(list, format){
+  const sep = format === "vtt" ? "." : ",";
+  // blank lines end a cue, and VTT cue text is HTML-ish
+  const clean = (s) => {
+    const text = (s || "").replace(/\r/g, "").replace(/\n{2,}/g, "\n").trim();
+    return format === "vtt" ? text.replace(/&/g, "&amp;").replace(/</g, "&lt;").replace(/>/g, "&gt;") : text;
+  };
+  const cues = list.map((ts, i) => [
+    String(i + 1),
+    `${fmtCueTime(ts.time, sep)} --> ${fmtCueTime(ts.time + clipLength(ts), sep)}`,
+    clean(ts.title || "Untitled"),
+    clean(ts.description)
+  ].filter(Boolean).join("\n"));
+  const text = (format === "vtt" ? ["WEBVTT", ...cues] : cues).join("\n\n") + "\n";
+  return {text, warnings: []};
+}
+
+function buildTimestampCSV(list){
+  const rows = list.map(ts => {
+    const end = tsEnd(ts);
+    return {
+      id: ts.id,
+      start: fmtCueTime(ts.time, "."),
+      end: end === null ? "" : fmtCueTime(end, "."),
+      start_seconds: ts.time,
+      end_seconds: end ?? "",
+      duration: end === null ? "" : Math.round((end - ts.time) * 1000) / 1000,
+      title: ts.title || "",
+      description: ts.description || "",
+      athletes: taggedAthletes(ts).map(rosterLabel).join("; "),
+      athlete_ids: (ts.taggedAthleteIds || []).join("; "),
+      tags: tsTagList(ts).map(({cat, opt}) => `${cat.name}: ${opt.label}`).join("; ")
+    };
+  });
+  const headers = ["id", "start", "end", "start_seconds", "end_seconds", "duration", "title", "description", "athletes", "athlete_ids", "tags"];
+  return {text: toCSV(rows, headers), warnings: []};
+}
+
+function openTimestampExport(){
+  const list = getFilteredTimestamps();
+  const filtered = list.length !== state.timestamps.length;
+  const modal = openModal("Export timestamps", `
+    <div class="row wrap">
+      <select class="select" id="tsExportFormat" style="width:auto">
+        ${Object.entries(TS_EXPORTS).map(([k, f]) => `<option value="${k}">${f.label}</option>`).join("")}
+      </select>
+      <span class="pill">${list.length}${filtered ? ` of ${state.timestamps.length}` : ""} timestamps${filtered ? " (current filter)" : ""}</span>
+    </div>
+    <ul class="issueList" id="tsExportWarnings"></ul>
+    <textarea class="textarea exportPreview" id="tsExportText" readonly spellcheck="false"></textarea>
+  `, [
+    {label: "Download", primary: true, onClick: () => {
+      const fmt = TS_EXPORTS[modal.querySelector("#tsExportFormat").value];
+      downloadText(`coachboard_${fileSlug(state.name)}_timestamps.${fmt.ext}`, modal.querySelector("#tsExportText").value, fmt.mime);
+      setStatus(`Exported ${list.length} timestamps as ${fmt.label}.`);
+    }},
+    {label: "Copy", onClick: async () => {
+      const text = modal.querySelector("#tsExportText").value;
+      try {
+        await navigator.clipboard.writeText(text);
+        setStatus("Copied to clipboard.");
+      } catch {
+        modal.querySelector("#tsExportText").select();
+        setStatus("Copy blocked by the browser — text selected, press Ctrl+C.");
+      }
+    }}
+  ]);
+
+  const render = () => {
+    const {text, warnings} = TS_EXPORTS[modal.querySelector("#tsExportFormat").value].build(list);
+    modal.querySelector("#tsExportText").value = text;
+    modal.querySelector("#tsExportWarnings").innerHTML = warnings.map(w => `<li>${escapeHtml(w)}</li>`).join("");
+  };
+  modal.querySelector("#tsExportFormat").addEventListener("change", render);
+  render();
+}
+
+// -------------------------
+// Timestamp import (CSV / XML breakdowns from other tools)
+// -------------------------
+const TS_IMPORT_FIELDS = [
+  {key: "clip", label: "Clip #", aliases: ["clip#", "clip", "clipnumber", "clipno", "play#", "playnumber", "playno", "#", "no", "id"]},
+  {key: "start", label: "Start", aliases: ["start", "starttime", "in", "timein", "tcin", "begin", "time", "timecode", "position"]},
+  {key: "end", label: "End", aliases: ["end", "endtime", "out", "timeout", "tcout", "stop", "finish"]},
+  {key: "title", label: "Title", aliases: ["title", "name", "code", "play", "playtype", "label", "event", "result"]},
+  {key: "description", label: "Description", aliases: ["description", "desc", "notes", "note", "comment", "comments", "text"]},
+  {key: "players", label: "Players", aliases: ["players", "player", "athletes", "athlete", "personnel", "jerseys", "jersey"]}
+];
+
+// Like headerKey, but keeps "#" so "Play #" is a clip number, not a play title.
+const tsHeaderKey = (h) => norm(h).replace(/[^a-z0-9#]/g, "");
+
+// Elements that could be clips (they have fields), best first: those with a start-time field, then the most repeated.
+// This keeps <player> inside <play> from being taken for a clip just because there are more of them.
+function xmlRecordTags(doc){
+  const counts = new Map();
+  for (const el of doc.getElementsByTagName("*")){
+    if (el.children.length || el.attributes.length) counts.set(el.tagName, (counts.get(el.tagName) || 0) + 1);
+  }
+  const startAliases = TS_IMPORT_FIELDS.find(f => f.key === "start").aliases;
+  const hasStart = (tag) => [...doc.getElementsByTagName(tag)].some(el =>
+    [...el.attributes].map(a => a.name).concat([...el.children].map(c => c.tagName)).some(f => startAliases.includes(tsHeaderKey(f))));
+  return [...counts.entries()]
+    .filter(([tag]) => tag !== doc.documentElement.tagName)
+    .map(([tag, count]) => ({tag, count, hasStart: hasStart(tag)}))
+    .sort((a, b) => (b.hasStart - a.hasStart) || (b.count - a.count));
+}
+
+// XML play lists: one element per clip — `recordTag`, or the best guess from xmlRecordTags. Its attributes and leaf
+// children become columns; nested groups flatten to "parent.child"; repeated fields are joined with "; ".
+function fromXMLRecords(text, recordTag){
+  const doc = new DOMParser().parseFromString(text, "application/xml");
+  if (doc.querySelector("parsererror")) throw new Error("The XML file is not well-formed.");
+
+  const recordTags = xmlRecordTags(doc);
+  const tag = recordTags.some(c => c.tag === recordTag) ? recordTag : recordTags[0]?.tag;
+  if (!tag) return {headers: [], rows: [], recordTag: "", recordTags};
+
+  const headers = [];
+  const rows = [...doc.getElementsByTagName(tag)].map(el => {
+    const row = {};
+    const put = (key, value) => {
+      value = (value ?? "").trim();
+      if (!headers.includes(key)) headers.push(key);
+      row[key] = row[key] && value ? `${row[key]}; ${value}` : (row[key] || value);
+    };
+    for (const attr of el.attributes) put(attr.name, attr.value);
+    const walk = (node, prefix) => {
+      for (const child of node.children){
+        const key = prefix ? `${prefix}.${child.tagName}` : child.tagName;
+        for (const attr of child.attributes) put(`${key}@${attr.name}`, attr.value);
+        if (child.children.length) walk(child, key);
+        else put(key, child.textContent);
+      }
+    };
+    walk(el, "");
+    return row;
+  });
+  return {headers, rows, recordTag: tag, recordTags};
+}
+
+// Times from other tools: seconds, mm:ss or h:mm:ss, with "." or "," decimals.
+function parseImportTime(v){
+  const s = (v ?? "").toString().trim().replace(",", ".");
+  return s ? parseTimecode(s) : NaN;
+}
+
+// Player cells like "#12, #7", "12 Smith; Jones" or "Al Bo / Cy Do". Jerseys are looked up within `teamFilter`.
+function matchPlayers(cell, teamFilter){
+  const matched = [];
+  const unmatched = [];
+  const pool = state.roster.filter(a => teamFilterMatch(a, teamFilter));
+  for (const raw of splitPlayerCell(cell, pool)){
+    const token = raw.trim();
+    if (!token) continue;
+    const num = token.match(/^#?\s*(\d{1,3})\b/)?.[1];
+    const name = norm(token.replace(/^#?\s*\d{1,3}\b/, "").replace(/[()]/g, ""));
+    let hits = [];
+    if (num){
+      hits = pool.filter(a => String(a.jersey).trim() === num);
+      if (hits.length > 1 && name) hits = hits.filter(a => [a.first, a.last, `${a.first} ${a.last}`].map(norm).includes(name));
+    } else if (name){
+      const full = (a) => [`${a.first} ${a.last}`, `${a.last} ${a.first}`, `${a.last}, ${a.first}`].map(norm);
+      hits = pool.filter(a => full(a).includes(name));
+      if (!hits.length) hits = pool.filter(a => norm(a.last) === name);
+    }
+    if (hits.length === 1) matched.push(hits[0]);
+    else unmatched.push(hits.length > 1 ? `${token} (${hits.length} matches)` : token);
+  }
+  return {matched: [...new Map(matched.map(a => [a.id, a])).values()], unmatched};
+}
+
+// Players are separated by ; | / or new lines, and by commas unless two comma pieces
+// read as "Last, First" of someone in `pool` ("Smith, John, 12" is Smith and #12).
+function splitPlayerCell(cell, pool){
+  const lastFirst = new Set(pool.map(a => norm(`${a.last}, ${a.first}`)));
+  const bare = (t) => norm(t.replace(/^#?\s*\d{1,3}\b/, ""));
+  const tokens = [];
+  for (const part of (cell || "").split(/[;|/\n]+/)){
+    const pieces = part.split(",");
+    for (let i=0;i<pieces.length;i++){
+      const pair = i + 1 < pieces.length ? `${pieces[i].trim()}, ${pieces[i+1].trim()}` : "";
+      if (pair && lastFirst.has(bare(pair))){ tokens.push(pair); i++; }
+      else tokens.push(pieces[i]);
+    }
+  }
+  return tokens;
+}
+
+// One entry per source row: {ok, reason?, ts?, matched, unmatched, exists}
+function buildImportedTimestamps(rows, mapping, teamFilter){
+  const cell = (r, key) => mapping[key] ? (r[mapping[key]] ?? "").toString().trim() : "";
+  return rows.map((r, i) => {
+    const start = parseImportTime(cell(r, "start"));
+    if (!Number.isFinite(start)) return {ok: false, reason: cell(r, "start") ? `Unreadable start "${cell(r, "start")}"` : "No start time", matched: [], unmatched: []};
+    const end = parseImportTime(cell(r, "end"));
+    const clip = cell(r, "clip");
+    const {matched, unmatched} = matchPlayers(cell(r, "players"), teamFilter);
+    const ts = {
+      id: uidNumeric() + i,
+      time: start,
+      title: cell(r, "title") || (clip ? `Clip ${clip}` : "Imported clip"),
+      description: cell(r, "description"),
+      taggedAthleteIds: matched.map(a => a.id),
+      drawings: []
+    };
+    if (Number.isFinite(end) && end > start) ts.end = end;
+    const exists = state.timestamps.some(t => Math.abs(t.time - ts.time) <= MERGE_TIME_SLOP && norm(t.title) === norm(ts.title));
+    return {ok: true, ts, matched, unmatched, exists};
+  });
+}
+
+async function importTimestamps(){
+  const file = await pickFile(".csv,.tsv,.txt,.xml,text/csv,text/xml,application/xml");
+  if (!file) return;
+  const text = await file.text();
+  let parsed;
+  try {
+    const isXml = /\.xml$/i.test(file.name) || /^\s*</.test(text.replace(/^\uFEFF/, ""));
+    parsed = isXml ? {...fromXMLRecords(text), kind: "XML"} : {...fromCSV(text), kind: "CSV"};
+  } catch (err) {
+    showValidationReport("Import failed", `${file.name} could not be read.`, [String(err.message || err)]);
+    return;
+  }
+  if (!parsed.rows.length){
+    showValidationReport("Import failed", `${file.name} has no clips.`, ["Expected a CSV with a header row, or an XML file with one element per clip."]);
+    return;
+  }
+  openTimestampImportPreview(file.name, parsed, text);
+}
+
+function openTimestampImportPreview(fileName, {headers, rows, kind, recordTag, recordTags = []}, text){
+  const mapping = guessColumnMapping(headers, TS_IMPORT_FIELDS, tsHeaderKey);
+  let teamFilter = "all";
+  let built = [];
+  const teamChoices = `<option value="all">All teams</option><option value="ours">Our teams</option><option value="opponent">Opponents</option>${teamOptions(null)}`;
+
+  const modal = openModal(`Import timestamps: ${fileName}`, `
+    <div class="muted">${rows.length} ${kind === "XML" ? `&lt;${escapeHtml(recordTag)}&gt; clips` : "rows"} from ${kind}. Map columns, check the preview, then import.
+      Timestamps are added to this project; the roster is not changed.</div>
+    <div class="mapGrid" id="tsMapGrid">
+      ${recordTags.length > 1 ? `
+        <label class="stack mapField">
+          <span class="muted">Clip element</span>
+          <select class="select" id="tsImportRecord">
+            ${recordTags.map(c => `<option value="${escapeHtml(c.tag)}" ${c.tag === recordTag ? "selected" : ""}>&lt;${escapeHtml(c.tag)}&gt; (${c.count})</option>`).join("")}
+          </select>
+        </label>` : ""}
+      ${TS_IMPORT_FIELDS.map(f => `
+        <label class="stack mapField">
+          <span class="muted">${f.label}${f.key === "start" ? " *" : ""}</span>
+          <select class="select" data-field="${f.key}">
+            <option value="">— none —</option>
+            ${headers.map(h => `<option value="${escapeHtml(h)}" ${mapping[f.key] === h ? "selected" : ""}>${escapeHtml(h)}</option>`).join("")}
+          </select>
+        </label>`).join("")}
+      <label class="stack mapField">
+        <span class="muted">Match jerseys in</span>
+        <select class="select" id="tsImportTeam">${teamChoices}</select>
+      </label>
+    </div>
+    <div class="row wrap" id="tsImportCounts"></div>
+    <div class="tableWrap previewTable"><table class="table">
+      <thead><tr><th><input type="checkbox" id="tsImportAll" title="Select all" /></th><th>Start</th><th>End</th><th>Title</th><th>Players</th></tr></thead>
+      <tbody id="tsImportRows"></tbody>
+    </table></div>
+  `, [{label: "Import selected", primary: true, onClick: () => applyTimestampImport(modal, built, fileName)}]);
+  modal.querySelector(".modal__card").classList.add("modal__card--wide");
+
+  const render = () => {
+    built = buildImportedTimestamps(rows, mapping, teamFilter);
+    const ok = built.filter(b => b.ok);
+    const players = ok.reduce((n, b) => n + b.matched.length, 0);
+    const missing = ok.reduce((n, b) => n + b.unmatched.length, 0);
+    modal.querySelector("#tsImportCounts").innerHTML = [
+      `<span class="pill rowStatus rowStatus--new">${ok.filter(b => !b.exists).length} new</span>`,
+      ok.some(b => b.exists) ? `<span class="pill rowStatus rowStatus--duplicate">${ok.filter(b => b.exists).length} already in project</span>` : "",
+      built.length > ok.length ? `<span class="pill rowStatus rowStatus--invalid">${built.length - ok.length} without a start time</span>` : "",
+      mapping.players ? `<span class="pill">${players} players matched</span>` : "",
+      missing ? `<span class="pill rowStatus rowStatus--duplicate" title="Not on the roster (or ambiguous) — skipped">${missing} not matched</span>` : ""
+    ].join("");
+    modal.querySelector("#tsImportRows").innerHTML = built.map((b, i) => b.ok ? `
+      <tr>
+        <td><input type="checkbox" data-row="${i}" ${b.exists ? "" : "checked"} /></td>
+        <td>${fmtTime(b.ts.time, true)}</td>
+        <td>${tsEnd(b.ts) === null ? "" : fmtTime(b.ts.end, true)}</td>
+        <td>${escapeHtml(b.ts.title)}${b.exists ? ` <span class="muted">(already in project)</span>` : ""}${b.ts.description ? `<div class="athSub">${escapeHtml(b.ts.description.slice(0, 120))}</div>` : ""}</td>
+        <td>${b.matched.map(a => athletePill(a)).join(" ")}${b.unmatched.map(u => ` <span class="muted unmatched">${escapeHtml(u)}</span>`).join("")}</td>
+      </tr>` : `
+      <tr class="muted">
+        <td><input type="checkbox" disabled /></td>
+        <td colspan="4">${escapeHtml(b.reason)}</td>
+      </tr>`).join("");
+  };
+
+  modal.querySelectorAll("#tsMapGrid select[data-field]").forEach(sel => {
+    sel.addEventListener("change", () => { mapping[sel.dataset.field] = sel.value; render(); });
+  });
+  modal.querySelector("#tsImportTeam").addEventListener("change", (e) => { teamFilter = e.target.value; render(); });
+  modal.querySelector("#tsImportRecord")?.addEventListener("change", (e) => {
+    openTimestampImportPreview(fileName, {...fromXMLRecords(text, e.target.value), kind}, text);
+  });
+  modal.querySelector("#tsImportAll").addEventListener("change", (e) => {
+    modal.querySelectorAll("#tsImportRows input:not(:disabled)").forEach(cb => cb.checked = e.target.checked);
+  });
+  render();
+}
+
+function applyTimestampImport(modal, built, fileName){
+  const picked = [...modal.querySelectorAll("#tsImportRows input[data-row]:checked")].map(cb => built[Number(cb.dataset.row)].ts);
+  if (!picked.length){
+    setStatus("Nothing selected to import.");
+    return;
+  }
+  closeModal();
+  pushHistory();
+  const usedIds = new Set(state.timestamps.map(t => t.id));
+  for (const ts of picked){
+    while (usedIds.has(ts.id)) ts.id++;
+    usedIds.add(ts.id);
+    state.timestamps.push(ts);
+  }
+  saveState();
+  renderTimestampList();
+  setStatus(`Imported ${picked.length} timestamps from ${fileName}.`);
+}
+
+// -------------------------
+// Merge another coach's project into the open one
+// -------------------------
+const MERGE_TIME_SLOP = 0.5; // seconds: "same time" for time+title dedupe
+
+function athleteIdentity(a){
+  return [a.jersey, a.teamId ?? "", a.first, a.last].map(norm).join("|");
+}
+
+function sameAthleteName(a, b){
+  return norm(a.first) === norm(b.first) && norm(a.last) === norm(b.last);
+}
+
+// Comparable content of a timestamp, for telling identical duplicates from conflicting ones.
+function tsContentKey(ts){
+  return JSON.stringify({
+    title: norm(ts.title),
+    description: norm(ts.description),
+    end: tsEnd(ts),
+    athletes: (ts.taggedAthleteIds || []).map(Number).sort((a,b) => a - b),
+    drawings: (ts.drawings || []).map(d => d.id).sort(),
+    comments: (ts.comments || []).map(c => c.id).sort(),
+    tags: Object.keys(ts.tags || {}).sort().map(k => [k, (ts.tags[k] || []).slice().sort()])
+  });
+}
+
+// Work out what a merge would do without touching state.
+function planMerge(incoming){
+  const plan = {
+    athleteMap: new Map(), // their athlete ID -> merged roster ID
+    teamMap: new Map(), // their team ID -> our team ID
+    teamAdds: [],
+    rosterAdds: [],
+    rosterMatches: {byId: 0, byIdentity: 0},
+    rosterConflicts: [], // same ID, different person: added under a new ID
+    tsAdds: [],
+    tsDuplicates: [],
+    tsConflicts: [], // {ours, theirs}
+    tagCategories: incoming.tagCategories || [],
+    reels: incoming.reels || []
+  };
+
+  // Teams: same ID and name, or just the same name, is the same team.
+  for (const t of incoming.teams || []){
+    const mine = state.teams.find(x => x.id === t.id && norm(x.name) === norm(t.name)) || findTeamByName(t.name);
+    if (mine){
+      plan.teamMap.set(t.id, mine.id);
+      continue;
+    }
+    const added = state.teams.some(x => x.id === t.id) ? {...t, id: uidNumeric() + plan.teamAdds.length} : {...t};
+    plan.teamMap.set(t.id, added.id);
+    plan.teamAdds.push(added);
+  }
+
+  const ours = new Map(state.roster.map(a => [Number(a.id), a]));
+  const byIdentity = new Map(state.roster.map(a => [athleteIdentity(a), a]));
+  for (const raw of incoming.roster || []){
+    const a = {...raw, teamId: plan.teamMap.get(raw.teamId) ?? null};
+    const sameId = ours.get(Number(a.id));
+    if (sameId && sameAthleteName(sameId, a)){
+      plan.athleteMap.set(Number(a.id), Number(sameId.id));
+      plan.rosterMatches.byId++;
+      continue;
+    }
+    const match = byIdentity.get(athleteIdentity(a));
+    if (match){
+      plan.athleteMap.set(Number(a.id), Number(match.id));
+      plan.rosterMatches.byIdentity++;
+      continue;
+    }
+    const added = sameId ? {...a, id: uidNumeric() + plan.rosterAdds.length} : {...a};
+    if (sameId) plan.rosterConflicts.push({ours: sameId, theirs: a, newId: added.id});
+    plan.athleteMap.set(Number(a.id), Number(added.id));
+    plan.rosterAdds.push(added);
+  }
+
+  const remap = (ids) => (ids || []).map(id => plan.athleteMap.get(Number(id)) ?? Number(id));
+  for (const raw of incoming.timestamps || []){
+    const theirs = {...raw, taggedAthleteIds: remap(raw.taggedAthleteIds)};
+    const ours = state.timestamps.find(t => t.id === theirs.id)
+      || state.timestamps.find(t => Math.abs(t.time - theirs.time) <= MERGE_TIME_SLOP && norm(t.title) === norm(theirs.title));
+    if (!ours) plan.tsAdds.push(theirs);
+    else if (tsContentKey(ours) === tsContentKey(theirs)) plan.tsDuplicates.push({ours, theirs});
+    else plan.tsConflicts.push({ours, theirs});
+  }
+  return plan;
+}
+
+// Their notes/tags/drawings folded into ours.
+function combineTimestamps(ours, theirs, author){
+  if (norm(theirs.description) && !norm(ours.description).includes(norm(theirs.description))){
+    ours.description = [ours.description, `— ${author} —\n${theirs.description}`].filter(Boolean).join("\n\n");
+  }
+  const athletes = new Set((ours.taggedAthleteIds || []).map(Number));
+  for (const id of theirs.taggedAthleteIds || []) athletes.add(Number(id));
+  ours.taggedAthleteIds = [...athletes];
+
+  const drawingIds = new Set((ours.drawings || []).map(d => d.id));
+  ours.drawings = [...(ours.drawings || []), ...(theirs.drawings || []).filter(d => !drawingIds.has(d.id))];
+
+  const commentIds = new Set((ours.comments || []).map(c => c.id));
+  ours.comments = [...(ours.comments || []), ...(theirs.comments || []).filter(c => !commentIds.has(c.id))];
+
+  for (const [catId, opts] of Object.entries(theirs.tags || {})){
+    ours.tags = ours.tags || {};
+    ours.tags[catId] = [...new Set([...(ours.tags[catId] || []), ...opts])];
+  }
+  if (tsEnd(ours) === null && tsEnd(theirs) !== null) ours.end = theirs.end;
+}
+
+function mergeTagCategories(theirs){
+  for (const cat of theirs){
+    const mine = state.tagCategories.find(c => c.id === cat.id);
+    if (!mine){
+      state.tagCategories.push(JSON.parse(JSON.stringify(cat)));
+      continue;
+    }
+    for (const opt of cat.options){
+      if (!mine.options.some(o => o.id === opt.id)) mine.options.push({...opt});
+    }
+  }
+}
+
+// resolutions[i] for plan.tsConflicts[i]: "combine" | "ours" | "theirs" (add as a separate timestamp)
+function applyMerge(plan, resolutions, sourceName){
+  state.teams.push(...plan.teamAdds);
+  state.roster.push(...plan.rosterAdds);
+  mergeTagCategories(plan.tagCategories);
+
+  const tsIdMap = new Map(); // their timestamp ID -> ID in the merged project
+  const usedIds = new Set(state.timestamps.map(t => t.id));
+  const addTs = (ts) => {
+    const copy = JSON.parse(JSON.stringify(ts));
+    if (usedIds.has(copy.id)) copy.id = uidNumeric() + usedIds.size;
+    usedIds.add(copy.id);
+    state.timestamps.push(copy);
+    tsIdMap.set(ts.id, copy.id);
+  };
+
+  plan.tsAdds.forEach(addTs);
+  for (const {ours, theirs} of plan.tsDuplicates) tsIdMap.set(theirs.id, ours.id);
+  plan.tsConflicts.forEach(({ours, theirs}, i) => {
+    const how = resolutions[i] || "combine";
+    if (how === "theirs") addTs(theirs);
+    else {
+      if (how === "combine") combineTimestamps(ours, theirs, sourceName);
+      tsIdMap.set(theirs.id, ours.id);
+    }
+  });
+
+  const reelIds = new Set(state.reels.map(r => r.id));
+  for (const reel of plan.reels){
+    if (reelIds.has(reel.id)) continue;
+    state.reels.push({...reel, name: `${reel.name} (${sourceName})`, tsIds: reel.tsIds.map(id => tsIdMap.get(id) ?? id)});
+  }
+
+  // Undo snapshots don't cover teams, roster or reels, so a merge can't be undone.
+  clearHistory();
+  saveState();
+  renderTeams();
+  renderRosterTable();
+  renderTagFilter();
+  renderTimestampList();
+  renderAthleteSearchResults();
+  if (selectedTsId) selectTimestamp(selectedTsId);
+}
+
+async function mergeProject(){
+  const file = await pickFile("application/json,.json");
+  if (!file) return;
+  let obj;
+  try {
+    obj = JSON.parse(await file.text());
+  } catch (err) {
+    showValidationReport("Merge failed", `${file.name} is not valid JSON.`, [String(err.message || err)]);
+    return;
+  }
+  const {project, errors, repairs} = validateProject(obj);
+  if (!project){
+    showValidationReport("Merge failed", `${file.name} can't be merged:`, errors);
+    return;
+  }
+
+  const plan = planMerge(project);
+  const sourceName = project.name && project.name !== "Untitled project" ? project.name : file.name.replace(/\.json$/i, "");
+  const conflictRows = plan.tsConflicts.map(({ours, theirs}, i) => `
+    <div class="athRow">
+      <div class="athLabel">
+        <div class="athMain">${tsRangeLabel(ours)} — ${escapeHtml(ours.title || "Untitled")}</div>
+        <div class="athSub">Theirs: ${tsRangeLabel(theirs)} — ${escapeHtml(theirs.title || "Untitled")}${theirs.description ? ` • ${escapeHtml(theirs.description.slice(0, 90))}` : ""}</div>
+      </div>
+      <select class="select" style="width:auto" data-conflict="${i}">
+        <option value="combine">Combine notes, tags & drawings</option>
+        <option value="ours">Keep ours</option>
+        <option value="theirs">Add theirs separately</option>
+      </select>
+    </div>`).join("");
+
+  const modal = openModal(`Merge "${sourceName}"`, `
+    <div class="row wrap">
+      <span class="pill">${plan.tsAdds.length} new timestamps</span>
+      <span class="pill">${plan.tsDuplicates.length} identical (skipped)</span>
+      <span class="pill">${plan.tsConflicts.length} conflicts</span>
+    </div>
+    <div class="row wrap">
+      <span class="pill">${plan.rosterAdds.length} new athletes</span>
+      ${plan.teamAdds.length ? `<span class="pill">${plan.teamAdds.length} new teams</span>` : ""}
+      <span class="pill">${plan.rosterMatches.byId} matched by ID</span>
+      <span class="pill">${plan.rosterMatches.byIdentity} matched by jersey + team + name</span>
+    </div>
+    ${plan.rosterConflicts.length ? `
+      <div class="subhead">Athlete ID conflicts</div>
+      <ul class="issueList">${plan.rosterConflicts.map(c => `<li>ID ${c.ours.id} is ${escapeHtml(rosterLabel(c.ours))} here but ${escapeHtml(rosterLabel(c.theirs))} in their file — added as ID ${c.newId}.</li>`).join("")}</ul>` : ""}
+    ${plan.tsConflicts.length ? `
+      <div class="subhead">Timestamp conflicts <span class="muted">(same ID, or same time + title, with different content)</span></div>
+      <div class="athResults mergeConflicts">${conflictRows}</div>` : ""}
+    ${repairs.length ? `<div class="muted">${repairs.length} problems in their file were repaired before merging.</div>` : ""}
+  `, [{label: "Merge", primary: true, onClick: () => {
+    const resolutions = [...modal.querySelectorAll("[data-conflict]")].map(sel => sel.value);
+    closeModal();
+    applyMerge(plan, resolutions, sourceName);
+    setStatus(`Merged "${sourceName}": ${plan.tsAdds.length} added, ${plan.tsConflicts.length} conflicts resolved, ${plan.rosterAdds.length} athletes added. This merge can't be undone.`);
+  }}]);
+}
+
+// -------------------------
+// Live session (WebSocket sync through relay/server.js)
+// -------------------------
+// Coaches in the same relay room share one project. Every saveState diffs the timestamps against what
+// the room last saw and sends only the changed ones; the last edit to a timestamp wins. New members get
+// a snapshot from the longest-connected member. Optionally one member "drives" everyone's playback.
+const LIVE_HEARTBEAT = 10000; // ms between presence updates
+const LIVE_PEER_TIMEOUT = 30000; // ms without a message before a peer is dropped
+const LIVE_DRIVE_EVERY = 500; // ms between the driver's playback updates
+const LIVE_DRIFT = 0.75; // seconds a follower may drift from the driver before it seeks
+const LIVE_SYNC_TIMEOUT = 5000; // ms to wait for a snapshot before asking another member
+const PEER_COLORS = ["#FF8A00", "#00B3A4", "#D94DFF", "#A3FF12", "#FF4D4D", "#3457FF"];
+
+// {ws, url, room, id, projectId, peers: Map(id -> {name, tsId, seen}), shadow: Map(tsId -> json),
+//  tagsJson, driverId, follow, driveTimer, heartbeat, syncFrom, syncAsked: Set(peer id), syncTimer,
+//  seenComments: Set(comment id) that arrived from the room}
+let live = null;
+
+const peerColor = (id) => PEER_COLORS[Number(id) % PEER_COLORS.length];
+const liveName = () => settings.userName || "Coach";
+
+function peerBadge(id, peer){
+  const initials = (peer.name || "?").split(/\s+/).filter(Boolean).map(w => w[0]).join("").slice(0, 2).toUpperCase();
+  return `<span class="peerBadge" style="--peer:${peerColor(id)}" title="${escapeHtml(peer.name || "Coach")}">${escapeHtml(initials || "?")}</span>`;
+}
+
+// Badges for the peers that have timestamp `tsId` open.
+function livePeersOn(tsId){
+  if (!live) return "";
+  return Array.from(live.peers).filter(([, p]) => p.tsId === tsId).map(([id, p]) => peerBadge(id, p)).join("");
+}
+
+function liveSend(msg){
+  if (live?.ws.readyState === WebSocket.OPEN) live.ws.send(JSON.stringify(msg));
+}
+
+function openLiveSession(){
+  if (live){ openLiveStatus(); return; }
+  const modal = openModal("Live session", `
+    <div class="muted">Coaches in the same room edit this project together. Start the relay with <code>node relay/server.js</code>; others on your network use your machine's address instead of localhost.</div>
+    <label class="stack"><span class="subhead">Relay</span><input class="input" id="liveUrl" value="${escapeHtml(settings.liveServer)}" /></label>
+    <label class="stack"><span class="subhead">Room</span><input class="input" id="liveRoom" value="${escapeHtml(fileSlug(state.name))}" /></label>
+    <label class="stack"><span class="subhead">Your name</span><input class="input" id="liveName" value="${escapeHtml(settings.userName)}" placeholder="Coach" /></label>
+    <div class="muted">Joining a room that already has coaches loads their copy of the project.</div>
+  `, [
+    {label: "Join", primary: true, onClick: () => {
+      const url = modal.querySelector("#liveUrl").value.trim();
+      const room = modal.querySelector("#liveRoom").value.trim();
+      if (!/^wss?:\/\//i.test(url)){ setStatus("Relay address must start with ws:// or wss://"); return; }
+      if (!room){ setStatus("Enter a room name."); return; }
+      settings.liveServer = url;
+      settings.userName = modal.querySelector("#liveName").value.trim();
+      saveSettings();
+      renderProfilePill();
+      closeModal();
+      joinLiveSession(url, room);
+    }}
+  ]);
+  modal.querySelector("#liveRoom").focus();
+}
+
+function openLiveStatus(){
+  const rows = [[live.id, {name: liveName()}], ...live.peers].map(([id, p]) => `
+    <div class="athRow">
+      <div class="row">${peerBadge(id, p)}<span>${escapeHtml(p.name || "Coach")}${id === live.id ? " (you)" : ""}</span></div>
+      <div class="row">
+        ${id === live.driverId ? `<span class="pill">Driving playback</span>` : ""}
+        ${p.tsId ? `<span class="muted">${escapeHtml(liveTsLabel(p.tsId))}</span>` : ""}
+      </div>
+    </div>`).join("");
+  const driving = live.driverId === live.id;
+  openModal(`Live session — ${live.room}`, `
+    <div class="muted">${live.ws.readyState === WebSocket.OPEN ? `Connected to ${escapeHtml(live.url)}` : "Connecting…"}</div>
+    <div class="stack">${rows}</div>
+    <label class="row"><input type="checkbox" id="liveFollow" ${live.follow ? "checked" : ""} /> Follow the driver's playback</label>
+  `, [
+    {label: driving ? "Stop driving" : "Drive playback", primary: !driving, onClick: () => { setLiveDriver(!driving); openLiveStatus(); }},
+    {label: "Leave session", danger: true, onClick: () => { leaveLiveSession("Left live session."); closeModal(); }}
+  ]);
+  $("liveFollow").addEventListener("change", (e) => { live.follow = e.target.checked; });
+}
+
+function liveTsLabel(tsId){
+  const ts = state.timestamps.find(t => t.id === tsId);
+  return ts ? `${fmtPos(ts.time)} ${ts.title || "Untitled"}` : "";
+}
+
+function joinLiveSession(url, room){
+  let ws;
+  try {
+    ws = new WebSocket(`${url.replace(/\/+$/, "")}/${encodeURIComponent(room)}`);
+  } catch {
+    setStatus(`Invalid relay address: ${url}`);
+    return;
+  }
+  live = {ws, url, room, id: null, projectId: state.projectId, peers: new Map(), shadow: new Map(), tagsJson: "",
+    driverId: null, follow: true, driveTimer: null, heartbeat: null, syncFrom: null, syncAsked: new Set(), syncTimer: null,
+    seenComments: new Set()};
+  resetLiveShadow();
+  ws.onmessage = (e) => {
+    if (live?.ws !== ws) return;
+    let msg;
+    try { msg = JSON.parse(e.data); } catch { return; }
+    if (isObj(msg)) handleLiveMessage(msg);
+  };
+  ws.onclose = () => {
+    if (live?.ws !== ws) return;
+    leaveLiveSession(live.id === null ? `Could not reach the relay at ${url}. Is node relay/server.js running?` : "Live session disconnected.");
+  };
+  live.heartbeat = setInterval(liveHeartbeat, LIVE_HEARTBEAT);
+  renderLiveUI();
+  setStatus(`Joining live room "${room}"…`);
+}
+
+function leaveLiveSession(msg){
+  if (!live) return;
+  const {ws} = live;
+  clearInterval(live.heartbeat);
+  clearInterval(live.driveTimer);
+  clearTimeout(live.syncTimer);
+  live = null;
+  ws.onclose = null;
+  ws.close();
+  renderLiveUI();
+  renderTimestampList();
+  if (msg) setStatus(msg);
+}
+
+function resetLiveShadow(){
+  live.shadow = new Map(state.timestamps.map(ts => [ts.id, JSON.stringify(ts)]));
+  live.tagsJson = JSON.stringify(state.tagCategories);
+}
+
+// Athletes tagged on `ts` plus their teams, so peers can show tags for players missing from their roster.
+function liveAthletesFor(ts){
+  const athletes = taggedAthletes(ts);
+  const teamIds = new Set(athletes.map(a => a.teamId));
+  return {athletes, teams: state.teams.filter(t => teamIds.has(t.id))};
+}
+
+// Called from saveState: send whatever changed since the room last heard from us.
+function liveSyncChanges(){
+  if (!live || live.id === null || live.projectId !== state.projectId) return;
+  const seen = new Set();
+  for (const ts of state.timestamps){
+    seen.add(ts.id);
+    const json = JSON.stringify(ts);
+    if (live.shadow.get(ts.id) === json) continue;
+    live.shadow.set(ts.id, json);
+    liveSend({type: "ts", ts, ...liveAthletesFor(ts)});
+  }
+  for (const id of live.shadow.keys()){
+    if (seen.has(id)) continue;
+    live.shadow.delete(id);
+    liveSend({type: "ts-delete", id});
+  }
+  const tagsJson = JSON.stringify(state.tagCategories);
+  if (tagsJson !== live.tagsJson){
+    live.tagsJson = tagsJson;
+    liveSend({type: "tag-categories", list: state.tagCategories});
+  }
+}
+
+function liveSendPresence(to){
+  liveSend({type: "presence", name: liveName(), tsId: selectedTsId, driving: live?.driverId === live?.id, ...(to !== undefined ? {to} : {})});
+}
+
+function liveHeartbeat(){
+  liveSendPresence();
+  const now = Date.now();
+  for (const [id, p] of live.peers){
+    if (now - p.seen > LIVE_PEER_TIMEOUT) dropLivePeer(id);
+  }
+}
+
+function dropLivePeer(id){
+  live.peers.delete(id);
+  if (live.driverId === id) live.driverId = null;
+  renderLiveUI();
+  renderTimestampList();
+}
+
+function handleLiveMessage(msg){
+  const from = msg.from;
+  const inSync = live.projectId === state.projectId; // edits before our snapshot arrives are for another project
+  if (from !== undefined && from !== live.id){
+    const peer = live.peers.get(from) || {name: "", tsId: null};
+    peer.seen = Date.now();
+    if (msg.type !== "leave") live.peers.set(from, peer);
+  }
+
+  switch (msg.type){
+    case "welcome":
+      live.id = msg.id;
+      for (const id of msg.peers || []) live.peers.set(id, {name: "", tsId: null, seen: Date.now()});
+      liveSendPresence();
+      if (msg.peers?.length){
+        live.projectId = null; // nothing is sent until the room's snapshot replaces our project
+        requestLiveSnapshot();
+      } else setStatus(`Live room "${live.room}" opened with "${state.name}". Others can join with the same room name.`);
+      break;
+    case "join":
+      liveSendPresence(from);
+      break;
+    case "leave":
+      dropLivePeer(from);
+      if (from === live.syncFrom) requestLiveSnapshot();
+      break;
+    case "presence": {
+      const peer = live.peers.get(from);
+      peer.name = isStr(msg.name) ? msg.name.slice(0, 40) : "";
+      peer.tsId = msg.tsId ?? null;
+      if (msg.driving) live.driverId = from;
+      else if (live.driverId === from) live.driverId = null;
+      renderLiveUI();
+      renderTimestampList();
+      break;
+    }
+    case "sync-request":
+      // still waiting for our own snapshot: our project isn't the room's
+      if (!inSync) liveSend({type: "sync-busy", to: from});
+      else liveSend({type: "snapshot", to: from, project: liveProjectSnapshot(), ...liveRosterFor(state.timestamps)});
+      break;
+    case "sync-busy":
+      if (from === live.syncFrom) requestLiveSnapshot();
+      break;
+    case "snapshot":
+      if (live.projectId !== null) break; // already have one
+      clearTimeout(live.syncTimer);
+      live.syncFrom = null;
+      applyLiveSnapshot(msg);
+      break;
+    case "ts":
+      if (inSync) applyRemoteTimestamp(msg);
+      break;
+    case "ts-delete":
+      if (inSync) applyRemoteDelete(msg.id);
+      break;
+    case "tag-categories":
+      if (inSync) applyRemoteTagCategories(msg.list);
+      break;
+    case "driver":
+      if (msg.driving){
+        live.driverId = from;
+        clearInterval(live.driveTimer); // someone else took over
+        live.driveTimer = null;
+      } else if (live.driverId === from) live.driverId = null;
+      renderLiveUI();
+      break;
+    case "playback":
+      if (from === live.driverId) followPlayback(msg);
+      break;
+  }
+}
+
+// Ask the longest-connected member we haven't asked yet for the room's project. Members that leave,
+// are still syncing themselves or don't answer in LIVE_SYNC_TIMEOUT are skipped.
+function requestLiveSnapshot(){
+  clearTimeout(live.syncTimer);
+  const next = Array.from(live.peers.keys()).sort((a, b) => a - b).find(id => !live.syncAsked.has(id));
+  if (next === undefined){
+    leaveLiveSession(`Live session: nobody in room "${live.room}" sent the project. Try joining again.`);
+    return;
+  }
+  live.syncAsked.add(next);
+  live.syncFrom = next;
+  liveSend({type: "sync-request", to: next});
+  live.syncTimer = setTimeout(requestLiveSnapshot, LIVE_SYNC_TIMEOUT);
+}
+
+function liveProjectSnapshot(){
+  const {roster: _roster, teams: _teams, ...project} = state;
+  return {...project, schemaVersion: SCHEMA_VERSION};
+}
+
+function liveRosterFor(timestamps){
+  const byId = new Map();
+  const teams = new Map();
+  for (const ts of timestamps){
+    const found = liveAthletesFor(ts);
+    found.athletes.forEach(a => byId.set(a.id, a));
+    found.teams.forEach(t => teams.set(t.id, t));
+  }
+  return {athletes: Array.from(byId.values()), teams: Array.from(teams.values())};
+}
+
+// Add athletes/teams we don't have yet (by ID); our own roster entries are left alone.
+function mergeLiveRoster(athletes, teams){
+  const repairs = [];
+  const newTeams = validateTeams(teams, repairs).filter(t => !getTeam(t.id));
+  const newAthletes = validateRoster(athletes, repairs).filter(a => !state.roster.some(x => Number(x.id) === Number(a.id)));
+  if (!newTeams.length && !newAthletes.length) return;
+  state.teams.push(...newTeams);
+  state.roster.push(...newAthletes);
+  dropUnknownTeamRefs(state.roster, state.teams, repairs);
+  refreshTeamUI();
+  renderRosterTable();
+}
+
+function applyLiveSnapshot(msg){
+  const {project, errors} = validateProject(msg.project);
+  if (!project){
+    console.warn("Live snapshot rejected:", errors);
+    leaveLiveSession("Live session: the room's project could not be loaded.");
+    return;
+  }
+  const {roster: _roster, teams: _teams, ...rest} = project;
+  mergeLiveRoster(msg.athletes, msg.teams);
+  saveState();
+  // Same project already here with different notes: keep our copy next to the session's.
+  const ours = readProject(rest.projectId);
+  if (ours && JSON.stringify(ours.timestamps) !== JSON.stringify(rest.timestamps)){
+    writeProject({...ours, projectId: uidNumeric(), name: `${ours.name || "Untitled project"} (before live session)`});
+  }
+  live.projectId = rest.projectId;
+  for (const ts of rest.timestamps) for (const c of ts.comments || []) live.seenComments.add(c.id);
+  applyProject(rest);
+  resetLiveShadow();
+  saveState();
+  refreshProjectUI(`Joined live room "${live.room}" — editing "${state.name}".`);
+}
+
+function applyRemoteTimestamp(msg){
+  const repairs = [];
+  const ts = validateTimestamp(msg.ts, "ts", repairs, new Set());
+  if (!ts) return;
+  mergeLiveRoster(msg.athletes, msg.teams);
+  const idx = state.timestamps.findIndex(t => t.id === ts.id);
+  live.shadow.set(ts.id, JSON.stringify(ts)); // what the room has; a merged copy differs and goes back out
+  if (idx >= 0){
+    // Comments are merged by ID rather than replaced: ours that this copy lacks and the room never saw
+    // were posted at the same moment. Ones the room did see and dropped were deleted by their author.
+    const theirs = new Set(ts.comments.map(c => c.id));
+    ts.comments.push(...(state.timestamps[idx].comments || []).filter(c => !theirs.has(c.id) && !live.seenComments.has(c.id)));
+    state.timestamps[idx] = ts;
+  } else state.timestamps.push(ts);
+  for (const c of ts.comments) live.seenComments.add(c.id);
+  // undoing to a snapshot from before this edit would broadcast a revert of it
+  rebaseHistory(snap => {
+    const i = snap.timestamps.findIndex(t => t.id === ts.id);
+    if (i >= 0) snap.timestamps[i] = ts; else snap.timestamps.push(ts);
+  });
+  saveState();
+  renderTimestampList();
+  if (ts.id === selectedTsId) refreshRemoteSelection(ts);
+}
+
+// Like selectTimestamp, but fields being typed in keep the local text.
+function refreshRemoteSelection(ts){
+  const typing = document.activeElement;
+  if (typing !== $("tsTitle")) $("tsTitle").value = ts.title || "";
+  if (typing !== $("tsDesc")) $("tsDesc").value = ts.description || "";
+  $("tsNotesPrivate").checked = !!ts.notesPrivate;
+  $("tsTimePill").textContent = tsRangeLabel(ts);
+  drawings = ts.drawings || [];
+  if (!drawings.some(d => d.id === selectedDrawingId)) selectedDrawingId = null;
+  redrawAll();
+  renderTaggedAthletes();
+  renderTsTagEditor();
+  renderComments();
+  renderAthleteSearchResults();
+}
+
+function applyRemoteDelete(id){
+  if (!state.timestamps.some(t => t.id === id)) return;
+  live.shadow.delete(id);
+  rebaseHistory(snap => { snap.timestamps = snap.timestamps.filter(t => t.id !== id); });
+  if (id === selectedTsId) stopLoop();
+  restoreTimestamps(state.timestamps.filter(t => t.id !== id));
+}
+
+function applyRemoteTagCategories(list){
+  const repairs = [];
+  state.tagCategories = validateTagCategories(list, repairs);
+  live.tagsJson = JSON.stringify(state.tagCategories);
+  rebaseHistory(snap => { snap.tagCategories = state.tagCategories; });
+  saveState();
+  renderTagFilter();
+  renderTsTagEditor();
+  renderTimestampList();
+}
+
+function setLiveDriver(on){
+  clearInterval(live.driveTimer);
+  live.driveTimer = null;
+  if (on){
+    live.driverId = live.id;
+    live.driveTimer = setInterval(sendPlayback, LIVE_DRIVE_EVERY);
+    sendPlayback();
+    setStatus("Driving playback for everyone in the room.");
+  } else if (live.driverId === live.id){
+    live.driverId = null;
+    setStatus("Stopped driving playback.");
+  }
+  liveSend({type: "driver", driving: on});
+  renderLiveUI();
+}
+
+function sendPlayback(){
+  if (!player) return;
+  liveSend({type: "playback", time: player.getTime(), playing: player.isPlaying(), rate: player.getRate()});
+}
+
+function followPlayback(msg){
+  if (live.follow) matchPlayback(msg, LIVE_DRIFT);
+}
+
+// Opening another project leaves the room (the session is tied to one project).
+function checkLiveProject(){
+  if (live && live.projectId !== state.projectId) leaveLiveSession("Left live session (another project was opened).");
+}
+
+function renderLiveUI(){
+  const btn = $("btn-live");
+  btn.classList.toggle("is-live", !!live);
+  btn.textContent = !live ? "Live Session"
+    : `Live: ${live.room} · ${live.peers.size + 1}${live.driverId === live.id ? " · driving" : live.driverId !== null ? " · following" : ""}`;
+}
+
+// -------------------------
+// Presenter mode (audience window)
+// -------------------------
+// `?audience=1` opens the app as a bare player for the projector: video, telestration and the clip
+// title. The main window stays in charge and mirrors its view and playback over a BroadcastChannel.
+const PRESENTER_CHANNEL = "coachboard_v1_presenter";
+const IS_AUDIENCE = new URLSearchParams(location.search).has("audience");
+const AUDIENCE_TICK = 250; // ms between playback updates to the audience window
+const AUDIENCE_DRIFT = 0.4; // seconds the audience may drift before it seeks
+
+let presenterChannel = null;
+let audienceWindow = null;
+let audienceOpen = false; // an audience window said hello and hasn't closed
+let audienceTimer = null;
+let presentQueued = false;
+let audienceSourceKey = ""; // audience side: the video source currently shown
+let audienceInkKey = ""; // audience side: drawings last rendered into the ink cache
+
+function initPresenter(){
+  if (typeof BroadcastChannel === "undefined"){
+    $("presentBtn").disabled = true;
+    $("presentBtn").title = "This browser can't link windows (no BroadcastChannel).";
+    return;
+  }
+  presenterChannel = new BroadcastChannel(PRESENTER_CHANNEL);
+  presenterChannel.onmessage = (e) => {
+    if (e.data?.type === "audience-hello") setAudienceOpen(true);
+    else if (e.data?.type === "audience-bye") setAudienceOpen(false);
+  };
+  window.addEventListener("pagehide", () => presenterChannel.postMessage({type: "presenter-bye"}));
+}
+
+function openAudienceWindow(){
+  if (audienceWindow && !audienceWindow.closed){ audienceWindow.focus(); return; }
+  audienceWindow = window.open(`${location.pathname}?audience=1`, "coachboard_audience", "popup,width=1280,height=720");
+  if (!audienceWindow){ setStatus("The audience window was blocked — allow pop-ups for this page."); return; }
+  setStatus("Drag the audience window to the projector; double-click it for full screen.");
+}
+
+function setAudienceOpen(on){
+  audienceOpen = on;
+  clearInterval(audienceTimer);
+  audienceTimer = on ? setInterval(sendAudiencePlayback, AUDIENCE_TICK) : null;
+  $("presentBtn").classList.toggle("is-on", on);
+  $("presentBtn").textContent = on ? "Presenting" : "Present";
+  if (on) presentUpdate();
+}
+
+// Called after anything the audience can see changes; sends once per frame at most.
+function presentUpdate(){
+  if (!audienceOpen || presentQueued) return;
+  presentQueued = true;
+  requestAnimationFrame(() => {
+    presentQueued = false;
+    const ts = state.timestamps.find(t => t.id === selectedTsId);
+    presenterChannel.postMessage({
+      type: "view",
+      source: {kind: state.videoSource, youtubeId: state.youtubeId || "", videoUrl: localVideoUrl, fileName: $("localVideo").dataset.fileName || ""},
+      title: ts ? ts.title || "Untitled" : "",
+      label: ts ? tsRangeLabel(ts) : "",
+      drawings,
+      stroke: activeStroke
+    });
+  });
+}
+
+function sendAudiencePlayback(){
+  if (!player) return;
+  presenterChannel.postMessage({type: "playback", time: player.getTime(), playing: player.isPlaying(), rate: player.getRate()});
+}
+
+function initAudience(){
+  document.body.classList.add("is-audience");
+  document.title = "Coachboard — audience";
+  bindLocalVideoEvents();
+  injectYouTubeApi();
+  setTimeout(resizeCanvas, 60);
+  requestAnimationFrame(telestrationTick);
+  $("playerWrap").addEventListener("dblclick", () => {
+    if (document.fullscreenElement) document.exitFullscreen();
+    else document.documentElement.requestFullscreen?.();
+  });
+  if (typeof BroadcastChannel === "undefined"){
+    $("audienceTitle").textContent = "This browser can't link windows (no BroadcastChannel).";
+    return;
+  }
+  presenterChannel = new BroadcastChannel(PRESENTER_CHANNEL);
+  presenterChannel.onmessage = (e) => handleAudienceMessage(e.data);
+  presenterChannel.postMessage({type: "audience-hello"});
+  window.addEventListener("pagehide", () => presenterChannel.postMessage({type: "audience-bye"}));
+  $("audienceTitle").textContent = "Waiting for the presenter…";
+}
+
+function handleAudienceMessage(msg){
+  if (!isObj(msg)) return;
+  if (msg.type === "view"){
+    showAudienceSource(msg.source);
+    $("audienceTitle").textContent = msg.title ? `${msg.label} — ${msg.title}` : "";
+    const key = JSON.stringify(msg.drawings);
+    activeStroke = msg.stroke || null;
+    if (key === audienceInkKey) redrawActiveStroke(); // only the presenter's pen moved
+    else {
+      audienceInkKey = key;
+      drawings = Array.isArray(msg.drawings) ? msg.drawings : [];
+      redrawAll();
+    }
+  } else if (msg.type === "playback" && player){
+    if (!player.isMuted()) player.setMuted(true); // a window nobody clicked in may only autoplay muted
+    matchPlayback(msg, AUDIENCE_DRIFT);
+  } else if (msg.type === "presenter-bye"){
+    player?.pause();
+    drawings = [];
+    activeStroke = null;
+    audienceInkKey = "";
+    redrawAll();
+    $("audienceTitle").textContent = "The presenter window was closed.";
+  }
+}
+
+// Local files play from the presenter's object URL (same origin, valid while that window is open).
+function showAudienceSource(src){
+  const key = JSON.stringify(src);
+  if (!isObj(src) || key === audienceSourceKey) return;
+  audienceSourceKey = key;
+  state.videoSource = src.kind;
+  state.youtubeId = src.youtubeId;
+  state.localVideoName = src.fileName;
+  const video = $("localVideo");
+  if (src.kind === "local" && src.videoUrl && video.dataset.fileName !== src.fileName){
+    video.src = src.videoUrl;
+    video.dataset.fileName = src.fileName;
+    video.load();
+  }
+  loadProjectVideo();
+}
+
+// -------------------------
+// Coaching report (printable HTML)
+// -------------------------
+const REPORT_FRAME_W = 960;
+const REPORT_FRAME_H = 540;
+
+// Stand-in for YouTube frames (the iframe can't be captured): a plain field with yard lines.
+function drawFieldBackground(g, w, h){
+  g.fillStyle = "#2f6b34";
+  g.fillRect(0, 0, w, h);
+  g.strokeStyle = "rgba(255,255,255,0.55)";
+  g.lineWidth = 2;
+  for (let i=1;i<10;i++){
+    const x = (w / 10) * i;
+    g.beginPath();
+    g.moveTo(x, 0);
+    g.lineTo(x, h);
+    g.stroke();
+    for (const hy of [h * 0.38, h * 0.62]){
+      g.beginPath();
+      g.moveTo(x - 6, hy);
+      g.lineTo(x + 6, hy);
+      g.stroke();
+    }
+  }
+}
+
+function waitForEvent(el, name, ms = 5000){
+  return new Promise((resolve) => {
+    const done = (ok) => {
+      clearTimeout(timer);
+      el.removeEventListener(name, onEvent);
+      el.removeEventListener("error", onError);
+      resolve(ok);
+    };
+    const onEvent = () => done(true);
+    const onError = () => done(false); // broken source: don't sit out the timeout
+    const timer = setTimeout(() => done(false), ms);
+    el.addEventListener(name, onEvent);
+    el.addEventListener("error", onError);
+  });
+}
+
+// Frames come from a separate <video> on the same file so the coach's playback position is untouched.
+// Call grabFrame.release() when done so the browser drops that video.
+async function createFrameGrabber(){
+  const src = $("localVideo").getAttribute("src");
+  if (state.videoSource !== "local" || !src) return null;
+  const v = document.createElement("video");
+  v.muted = true;
+  v.preload = "auto";
+  v.src = src;
+  const release = () => {
+    v.removeAttribute("src");
+    v.load();
+  };
+  if (v.readyState < 1 && !(await waitForEvent(v, "loadedmetadata"))){ release(); return null; }
+
+  const grabFrame = async (g, t, w, h) => {
+    v.currentTime = Math.max(0, Math.min(v.duration || t, t));
+    if (!(await waitForEvent(v, "seeked"))) return false;
+    // letterbox like object-fit: contain
+    const scale = Math.min(w / (v.videoWidth || w), h / (v.videoHeight || h));
+    const dw = (v.videoWidth || w) * scale, dh = (v.videoHeight || h) * scale;
+    g.fillStyle = "#000";
+    g.fillRect(0, 0, w, h);
+    g.drawImage(v, (w - dw) / 2, (h - dh) / 2, dw, dh);
+    return true;
+  };
+  grabFrame.release = release;
+  return grabFrame;
+}
+
+// Frame (or field) with the timestamp's telestration on top, as a JPEG data URL.
+async function renderTimestampImage(ts, grabFrame, w = REPORT_FRAME_W, h = REPORT_FRAME_H){
+  const frame = document.createElement("canvas");
+  frame.width = w;
+  frame.height = h;
+  const g = frame.getContext("2d");
+  if (!grabFrame || !(await grabFrame(g, Number(ts.time), w, h))) drawFieldBackground(g, w, h);
+  g.drawImage(renderInkLayer(ts, w, h), 0, 0);
+  return frame.toDataURL("image/jpeg", 0.85);
 }
 
-// -------------------------
-// Telestration (Canvas overlay)
-// -------------------------
-const canvas = $("overlay");
-const wrap = $("playerWrap");
-const ctx = canvas.getContext("2d");
+// The timestamp's telestration alone on a transparent canvas.
+// Ink gets its own layer so eraser strokes only remove ink, not the frame under it.
+function renderInkLayer(ts, w = REPORT_FRAME_W, h = REPORT_FRAME_H){
+  const ink = document.createElement("canvas");
+  ink.width = w;
+  ink.height = h;
+  const ig = ink.getContext("2d");
+  for (const d of ts.drawings || []) drawItem(d, ig, w, h);
+  return ink;
+}
 
-function resizeCanvas(){
-  const r = wrap.getBoundingClientRect();
-  canvas.width = Math.floor(r.width);
-  canvas.height = Math.floor(r.height);
-  redrawAll();
+function taggedAthletes(ts){
+  return (ts.taggedAthleteIds || [])
+    .map(id => state.roster.find(a => Number(a.id) === Number(id)))
+    .filter(Boolean);
 }
 
-window.addEventListener("resize", () => setTimeout(resizeCanvas, 50));
+async function buildReportHtml(list, scopeLabel){
+  const grabFrame = await createFrameGrabber();
+  const sections = [];
+  try {
+    for (const ts of list){
+      setStatus(`Rendering report… ${sections.length + 1}/${list.length}`);
+      const img = await renderTimestampImage(ts, grabFrame);
+      const athletes = taggedAthletes(ts).map(a => `<span class="pill">${escapeHtml(rosterLabel(a))}</span>`).join("");
+      sections.push(`
+      <section class="clip">
+        <img src="${img}" alt="Frame at ${tsRangeLabel(ts)}" />
+        <div class="clip__body">
+          <div class="clip__time">${tsRangeLabel(ts)}</div>
+          <h2>${escapeHtml(ts.title || "Untitled")}</h2>
+          ${ts.description ? `<p class="notes">${escapeHtml(ts.description)}</p>` : ""}
+          ${athletes ? `<div class="pills">${athletes}</div>` : ""}
+        </div>
+      </section>`);
+    }
+  } finally {
+    grabFrame?.release();
+  }
 
-function relPoint(clientX, clientY){
-  const r = canvas.getBoundingClientRect();
-  const x = (clientX - r.left) / r.width;
-  const y = (clientY - r.top) / r.height;
-  return { x: Math.max(0, Math.min(1, x)), y: Math.max(0, Math.min(1, y)) };
+  const meta = [
+    state.opponent ? `vs ${escapeHtml(state.opponent)}` : "",
+    escapeHtml(state.date || ""),
+    escapeHtml(projectMeta(state).videoLabel),
+    escapeHtml(scopeLabel),
+    `${list.length} clips`
+  ].filter(Boolean).join(" • ");
+
+  return `<!doctype html>
+<html lang="en">
+<head>
+<meta charset="utf-8" />
+<title>${escapeHtml(state.name || "Coaching report")}</title>
+<style>
+  body{font-family:system-ui,-apple-system,Segoe UI,Roboto,Arial;margin:24px;color:#111}
+  header{border-bottom:2px solid #111;margin-bottom:16px;padding-bottom:8px}
+  h1{margin:0 0 4px;font-size:22px}
+  .meta{color:#555;font-size:13px}
+  .clip{display:grid;grid-template-columns:360px 1fr;gap:16px;padding:12px 0;border-bottom:1px solid #ccc;page-break-inside:avoid;break-inside:avoid}
+  .clip img{width:100%;border-radius:6px;border:1px solid #999}
+  .clip__time{font-weight:700;color:#3457ff}
+  h2{margin:2px 0 6px;font-size:17px}
+  .notes{white-space:pre-wrap;margin:0 0 8px;font-size:14px}
+  .pills{display:flex;flex-wrap:wrap;gap:6px}
+  .pill{font-size:12px;padding:2px 8px;border:1px solid #999;border-radius:999px}
+  .printBtn{float:right;padding:8px 12px}
+  @media print{ .printBtn{display:none} body{margin:0} }
+</style>
+</head>
+<body>
+<header>
+  <button class="printBtn" onclick="window.print()">Print / Save as PDF</button>
+  <h1>${escapeHtml(state.name || "Coaching report")}</h1>
+  <div class="meta">${meta}</div>
+  <div class="meta">Generated ${escapeHtml(new Date().toLocaleString())}</div>
+</header>
+${sections.join("\n") || "<p>No timestamps in this report.</p>"}
+</body>
+</html>`;
 }
 
-function drawStroke(stroke){
-  const pts = stroke.points || [];
-  if (pts.length < 2) return;
-  ctx.save();
-  ctx.lineCap = "round";
-  ctx.lineJoin = "round";
-  ctx.globalCompositeOperation = (stroke.tool === "erase") ? "destination-out" : "source-over";
-  ctx.strokeStyle = stroke.color || "#00E5FF";
-  ctx.lineWidth = Number(stroke.size || 4);
-  ctx.beginPath();
-  ctx.moveTo(pts[0].x * canvas.width, pts[0].y * canvas.height);
-  for (let i=1;i<pts.length;i++){
-    ctx.lineTo(pts[i].x * canvas.width, pts[i].y * canvas.height);
+// Returns {list, label} for the scope chosen in the report dialog.
+function reportSelection(scope, athleteId){
+  const all = state.timestamps.slice().sort((a,b)=>a.time-b.time);
+  if (scope === "filter"){
+    const q = $("tsFilter").value.trim();
+    return {list: getFilteredTimestamps(), label: q ? `Filter: ${q}` : "All timestamps"};
   }
-  ctx.stroke();
-  ctx.restore();
+  if (scope === "athlete"){
+    const a = state.roster.find(x => Number(x.id) === Number(athleteId));
+    return {
+      list: all.filter(ts => (ts.taggedAthleteIds || []).map(Number).includes(Number(athleteId))),
+      label: a ? rosterLabel(a) : "Athlete"
+    };
+  }
+  return {list: all, label: "All timestamps"};
 }
 
-function redrawAll(){
-  ctx.clearRect(0,0,canvas.width,canvas.height);
-  for (const d of drawings) drawStroke(d);
-  if (activeStroke) drawStroke(activeStroke);
+function openReportDialog(){
+  const athletes = state.roster.slice().sort((a,b) => String(a.jersey||"").localeCompare(String(b.jersey||""), undefined, {numeric: true}));
+  const modal = openModal("Coaching report", `
+    <div class="muted">One section per timestamp: time, title, notes, tagged athletes and telestration.
+      ${state.videoSource === "local" ? "Frames are captured from the local video." : "YouTube frames can't be captured, so drawings are shown on a field background."}</div>
+    <label class="row"><input type="radio" name="reportScope" value="all" checked /> All timestamps</label>
+    <label class="row"><input type="radio" name="reportScope" value="filter" /> Current filter (${getFilteredTimestamps().length})</label>
+    <label class="row"><input type="radio" name="reportScope" value="athlete" ${athletes.length ? "" : "disabled"} /> Athlete</label>
+    <select class="select" id="reportAthlete" ${athletes.length ? "" : "disabled"}>
+      ${athletes.map(a => `<option value="${a.id}">${escapeHtml(rosterLabel(a))}</option>`).join("")}
+    </select>
+  `, [
+    {label: "Print / Save as PDF", primary: true, onClick: () => generateReport(modal, true)},
+    {label: "Download HTML", onClick: () => generateReport(modal, false)}
+  ]);
+  modal.querySelector("#reportAthlete").addEventListener("change", () => {
+    modal.querySelector('input[value="athlete"]').checked = true;
+  });
 }
 
-function pointerDown(e){
-  if (!drawEnabled) return;
-  if (!selectedTsId){ setStatus("Select a timestamp before drawing."); return; }
-  canvas.setPointerCapture(e.pointerId);
-  activeStroke = {
-    id: uidNumeric(),
-    tool: "pen",
-    color: selectedColor,
-    size: Number($("sizeSel").value),
-    points: [relPoint(e.clientX, e.clientY)],
-    createdAt: Date.now()
+async function generateReport(modal, print){
+  const scope = modal.querySelector('input[name="reportScope"]:checked')?.value || "all";
+  const {list, label} = reportSelection(scope, modal.querySelector("#reportAthlete").value);
+  closeModal();
+  // open the window before any await so popup blockers treat it as part of the click
+  const win = print ? window.open("", "_blank") : null;
+  let html;
+  try {
+    html = await buildReportHtml(list, label);
+  } catch (err){
+    win?.close();
+    console.warn("Report failed:", err);
+    setStatus(`Report failed: ${err?.message || err}`);
+    return;
+  }
+  if (win){
+    win.document.open();
+    win.document.write(html);
+    win.document.close();
+    setTimeout(() => win.print(), 400);
+  } else {
+    downloadText(`coachboard_report_${fileSlug(state.name)}.html`, html, "text/html");
+  }
+  setStatus(`Report ready (${list.length} clips).`);
+}
+
+// -------------------------
+// Player film packages (read-only HTML per athlete or position group)
+// -------------------------
+// One self-contained file: clip list with notes, an annotated still per clip, and a player for the
+// project's video (YouTube embed, or the coach's local file picked on the player's machine) with the
+// telestration laid over it. Notes marked coach-only are left out.
+
+// Returns {list, label, athleteIds} for an athlete ID or a position.
+function packageSelection(kind, value){
+  const athletes = kind === "position"
+    ? state.roster.filter(a => norm(a.position) === norm(value))
+    : state.roster.filter(a => Number(a.id) === Number(value));
+  const ids = new Set(athletes.map(a => Number(a.id)));
+  return {
+    list: state.timestamps.filter(ts => (ts.taggedAthleteIds || []).some(id => ids.has(Number(id)))).sort((a,b)=>a.time-b.time),
+    label: kind === "position" ? `Position group: ${value}` : (athletes[0] ? rosterLabel(athletes[0]) : "Athlete"),
+    athleteIds: ids
   };
-  redrawAll();
 }
-function pointerMove(e){
-  if (!drawEnabled || !activeStroke) return;
-  activeStroke.points.push(relPoint(e.clientX, e.clientY));
-  redrawAll();
+
+// Distinct positions on the roster (first spelling wins), for the position-group choice.
+function rosterPositions(){
+  const byKey = new Map();
+  for (const a of state.roster){
+    const p = (a.position || "").trim();
+    if (p && !byKey.has(norm(p))) byKey.set(norm(p), p);
+  }
+  return Array.from(byKey.values()).sort((a, b) => a.localeCompare(b));
 }
-function pointerUp(e){
-  if (!drawEnabled || !activeStroke) return;
-  const ts = state.timestamps.find(t => t.id === selectedTsId);
-  if (!ts) return;
-  ts.drawings = ts.drawings || [];
-  ts.drawings.push(activeStroke);
-  drawings = ts.drawings;
-  activeStroke = null;
-  saveState();
-  redrawAll();
+
+function openPackageDialog(preset = {}){
+  if (!state.roster.length){ setStatus("Add athletes to the roster first."); return; }
+  const athletes = state.roster.slice().sort((a,b) => String(a.jersey||"").localeCompare(String(b.jersey||""), undefined, {numeric: true}));
+  const positions = rosterPositions();
+  const modal = openModal("Player film package", `
+    <div class="muted">A read-only HTML file with every clip the athlete is tagged in: notes, drawings and the video.
+      ${state.videoSource === "local" ? `Players open their own copy of "${escapeHtml(state.localVideoName || "the video file")}" to watch.` : "Clips play from YouTube."}
+      Coach-only notes are left out.</div>
+    <label class="row"><input type="radio" name="pkgKind" value="athlete" checked /> Athlete</label>
+    <select class="select" id="pkgAthlete">
+      ${athletes.map(a => `<option value="${a.id}" ${Number(a.id) === Number(preset.athleteId) ? "selected" : ""}>${escapeHtml(rosterLabel(a))}</option>`).join("")}
+    </select>
+    <label class="row"><input type="radio" name="pkgKind" value="position" ${positions.length ? "" : "disabled"} /> Position group</label>
+    <select class="select" id="pkgPosition" ${positions.length ? "" : "disabled"}>
+      ${positions.map(p => `<option value="${escapeHtml(p)}">${escapeHtml(p)}</option>`).join("")}
+    </select>
+    <div class="pill" id="pkgCount"></div>
+  `, [
+    {label: "Download package", primary: true, onClick: () => generatePackage(pick())}
+  ]);
+
+  const pick = () => {
+    const kind = modal.querySelector('input[name="pkgKind"]:checked').value;
+    return {kind, value: modal.querySelector(kind === "position" ? "#pkgPosition" : "#pkgAthlete").value};
+  };
+  const update = () => {
+    const {kind, value} = pick();
+    const {list} = packageSelection(kind, value);
+    const hidden = list.filter(ts => ts.notesPrivate && ts.description).length;
+    modal.querySelector("#pkgCount").textContent = `${list.length} clips${hidden ? ` • ${hidden} coach-only notes left out` : ""}`;
+  };
+  modal.querySelector("#pkgAthlete").addEventListener("change", () => { modal.querySelector('input[value="athlete"]').checked = true; update(); });
+  modal.querySelector("#pkgPosition").addEventListener("change", () => { modal.querySelector('input[value="position"]').checked = true; update(); });
+  modal.querySelectorAll('input[name="pkgKind"]').forEach(r => r.addEventListener("change", update));
+  update();
 }
-canvas.addEventListener("pointerdown", pointerDown);
-canvas.addEventListener("pointermove", pointerMove);
-canvas.addEventListener("pointerup", pointerUp);
-canvas.addEventListener("pointercancel", pointerUp);
 
-// -------------------------
-// YouTube IFrame API
-// -------------------------
-function injectYouTubeApi(){
-  const tag = document.createElement("script");
-  tag.src = "https://www.youtube.com/iframe_api";
-  document.head.appendChild(tag);
+async function generatePackage({kind, value}){
+  const {list, label} = packageSelection(kind, value);
+  if (!list.length){ setStatus(`${label} isn't tagged in any timestamp.`); return; }
+  closeModal();
+  let html;
+  try {
+    html = await buildPackageHtml(list, label);
+  } catch (err){
+    console.warn("Film package failed:", err);
+    setStatus(`Film package failed: ${err?.message || err}`);
+    return;
+  }
+  downloadText(`coachboard_${fileSlug(state.name)}_${fileSlug(kind === "position" ? value : label)}.html`, html, "text/html");
+  setStatus(`Film package for ${label} ready (${list.length} clips).`);
 }
 
-window.onYouTubeIframeAPIReady = () => {
-  player = new YT.Player("player", {
-    height: "100%",
-    width: "100%",
-    videoId: state.youtubeId || undefined,
-    playerVars: { playsinline: 1, rel: 0, modestbranding: 1, iv_load_policy: 3, controls: 0, disablekb: 1, origin: window.location.origin },
-    events: {
-      onReady: () => {
-        playerReady = true;
-        setStatus("Player ready.");
-        // If user clicked Load before the player finished initializing, honor it now.
-        if (pendingVideoId) {
-          player.cueVideoById(pendingVideoId);
-          pendingVideoId = null;
-        } else if (state.youtubeId) {
-          player.cueVideoById(state.youtubeId);
-        }
-        setTimeout(resizeCanvas, 60);
-      },
-      onError: (e) => {
-        const code = e?.data;
-        const map = {
-          2: "Invalid video ID or parameter.",
-          5: "HTML5 player error.",
-          100: "Video not found (removed/private).",
-          101: "Embed not allowed OR origin/restriction issue.",
-          150: "Embed not allowed OR origin/restriction issue."
-        };
-        setStatus(`Player error (${code}). ${map[code] || "Unknown error."}`);
-        console.warn("YT error:", e);
-      }
+async function buildPackageHtml(list, label){
+  const grabFrame = await createFrameGrabber();
+  const clips = [];
+  try {
+    for (const ts of list){
+      setStatus(`Rendering package… ${clips.length + 1}/${list.length}`);
+      const end = tsEnd(ts);
+      clips.push({
+        start: ts.time,
+        end: end ?? ts.time + REEL_DEFAULT_CLIP,
+        label: tsRangeLabel(ts),
+        title: ts.title || "Untitled",
+        notes: ts.notesPrivate ? "" : ts.description || "",
+        athletes: taggedAthletes(ts).map(rosterLabel),
+        still: await renderTimestampImage(ts, grabFrame),
+        ink: renderInkLayer(ts).toDataURL("image/png")
+      });
     }
+  } finally {
+    grabFrame?.release();
+  }
+  const video = state.videoSource === "local"
+    ? {kind: "local", fileName: state.localVideoName || ""}
+    : {kind: "youtube", id: state.youtubeId || ""};
+  const meta = [
+    state.opponent ? `vs ${escapeHtml(state.opponent)}` : "",
+    escapeHtml(state.date || ""),
+    escapeHtml(label),
+    `${list.length} clips`
+  ].filter(Boolean).join(" • ");
+  // "<" escaped so notes can't close the data block
+  const data = JSON.stringify({video, clips}).replace(/</g, "\\u003c");
+
+  return `<!doctype html>
+<html lang="en">
+<head>
+<meta charset="utf-8" />
+<meta name="viewport" content="width=device-width,initial-scale=1" />
+<title>${escapeHtml(`${state.name || "Film"} — ${label}`)}</title>
+<style>
+  body{font-family:system-ui,-apple-system,Segoe UI,Roboto,Arial;margin:0;background:#0b1220;color:#e7eef8}
+  header{padding:16px 20px;border-bottom:1px solid #223246}
+  h1{margin:0 0 4px;font-size:20px}
+  .meta{color:#9fb2c8;font-size:13px}
+  main{display:grid;grid-template-columns:minmax(0,1fr) 360px;gap:16px;padding:16px 20px}
+  .stage{position:relative;aspect-ratio:16/9;background:#000;border-radius:12px;overflow:hidden}
+  .stage iframe,.stage video{position:absolute;inset:0;width:100%;height:100%;border:0;object-fit:contain}
+  .stage img.ink{position:absolute;inset:0;width:100%;height:100%;pointer-events:none}
+  .stage .hint{position:absolute;inset:0;display:flex;flex-direction:column;gap:10px;align-items:center;justify-content:center;text-align:center;padding:20px;color:#9fb2c8}
+  .bar{display:flex;gap:10px;align-items:center;flex-wrap:wrap;margin-top:10px;font-size:14px}
+  .bar a{color:#8fb0ff}
+  .now h2{margin:12px 0 4px;font-size:18px}
+  .notes{white-space:pre-wrap;margin:0;font-size:14px;color:#cfe0f4}
+  .clips{display:flex;flex-direction:column;gap:8px;max-height:calc(100vh - 120px);overflow:auto}
+  .clip{display:grid;grid-template-columns:120px 1fr;gap:10px;padding:8px;border:1px solid #223246;border-radius:10px;background:#111a2b;color:inherit;text-align:left;font:inherit;cursor:pointer}
+  .clip.is-on{border-color:#3457ff;background:#1b2a55}
+  .clip img{width:100%;border-radius:6px}
+  .clip b{display:block;font-size:14px}
+  .clip span{font-size:12px;color:#9fb2c8}
+  @media (max-width:900px){ main{grid-template-columns:1fr} .clips{max-height:none} }
+</style>
+</head>
+<body>
+<header>
+  <h1>${escapeHtml(state.name || "Film")}</h1>
+  <div class="meta">${meta}</div>
+</header>
+<main>
+  <section>
+    <div class="stage" id="stage"></div>
+    <div class="bar">
+      <label><input type="checkbox" id="showInk" checked /> Show drawings</label>
+      <span id="source"></span>
+    </div>
+    <div class="now"><h2 id="nowTitle"></h2><p class="notes" id="nowNotes"></p><div class="meta" id="nowAthletes"></div></div>
+  </section>
+  <aside class="clips" id="clips"></aside>
+</main>
+<script type="application/json" id="data">${data}</script>
+<script>
+(function(){
+  var data = JSON.parse(document.getElementById("data").textContent);
+  var stage = document.getElementById("stage");
+  var clipsEl = document.getElementById("clips");
+  var current = -1, video = null, file = null;
+  var ink = document.createElement("img");
+  ink.className = "ink";
+  ink.alt = "";
+
+  function text(el, s){ el.textContent = s; return el; }
+
+  data.clips.forEach(function(c, i){
+    var b = document.createElement("button");
+    b.className = "clip";
+    var img = document.createElement("img");
+    img.src = c.still;
+    img.alt = "";
+    var body = document.createElement("div");
+    body.appendChild(text(document.createElement("b"), c.label + " — " + c.title));
+    if (c.notes) body.appendChild(text(document.createElement("span"), c.notes.length > 90 ? c.notes.slice(0, 90) + "…" : c.notes));
+    b.appendChild(img);
+    b.appendChild(body);
+    b.onclick = function(){ show(i); };
+    clipsEl.appendChild(b);
   });
 
-  // time pill
-  setInterval(() => {
-    if (!player || typeof player.getCurrentTime !== "function") return;
-    $("curTime").textContent = fmtTime(player.getCurrentTime());
-  }, 250);
-};
+  function show(i){
+    current = i;
+    var c = data.clips[i];
+    Array.prototype.forEach.call(clipsEl.children, function(el, j){ el.classList.toggle("is-on", j === i); });
+    text(document.getElementById("nowTitle"), c.label + " — " + c.title);
+    text(document.getElementById("nowNotes"), c.notes);
+    text(document.getElementById("nowAthletes"), c.athletes.join(" • "));
+    ink.src = c.ink;
+    if (data.video.kind === "youtube") showYouTube(c); else showLocal(c);
+  }
 
-// -------------------------
-// New Project (keep roster, clear timestamps)
-// -------------------------
-function newProject(){
-  state.projectId = uidNumeric();
-  state.timestamps = [];
-  // keep roster and youtube fields
-  selectedTsId = null;
-  drawings = [];
-  activeStroke = null;
-  $("tsTitle").value = "";
-  $("tsDesc").value = "";
-  $("tsTimePill").textContent = "—";
-  $("tsFilter").value = "";
-  $("athSearch").value = "";
-  $("athleteTagList").innerHTML = "";
-  saveState();
-  renderTimestampList();
-  renderAthleteSearchResults();
-  redrawAll();
-  setStatus("New project started (timestamps cleared, roster kept). ");
+  function showYouTube(c){
+    var id = encodeURIComponent(data.video.id);
+    stage.innerHTML = "";
+    var frame = document.createElement("iframe");
+    frame.allow = "autoplay; fullscreen";
+    frame.src = "https://www.youtube.com/embed/" + id + "?autoplay=1&rel=0&playsinline=1&start=" + Math.floor(c.start) + "&end=" + Math.ceil(c.end);
+    stage.appendChild(frame);
+    stage.appendChild(ink);
+    var src = document.getElementById("source");
+    src.innerHTML = "";
+    var a = document.createElement("a");
+    a.href = "https://youtu.be/" + id + "?t=" + Math.floor(c.start);
+    a.target = "_blank";
+    a.rel = "noopener";
+    src.appendChild(text(a, "Open on YouTube"));
+  }
+
+  // Local film isn't in the file; the player opens their own copy once and every clip seeks in it.
+  function showLocal(c){
+    if (!file){
+      stage.innerHTML = "";
+      var hint = document.createElement("div");
+      hint.className = "hint";
+      hint.appendChild(text(document.createElement("div"), "Open the game film to watch: " + (data.video.fileName || "the video file from your coach")));
+      var input = document.createElement("input");
+      input.type = "file";
+      input.accept = "video/*";
+      input.onchange = function(){
+        file = input.files[0];
+        if (!file) return;
+        video = document.createElement("video");
+        video.controls = true;
+        video.playsInline = true;
+        video.src = URL.createObjectURL(file);
+        video.addEventListener("timeupdate", function(){
+          var cur = data.clips[current];
+          if (cur && video.currentTime >= cur.end) video.pause();
+        });
+        video.addEventListener("loadedmetadata", function(){ show(current); }, {once: true});
+      };
+      hint.appendChild(input);
+      stage.appendChild(hint);
+      return;
+    }
+    if (video.parentNode !== stage){
+      stage.innerHTML = "";
+      stage.appendChild(video);
+      stage.appendChild(ink);
+    }
+    text(document.getElementById("source"), file.name);
+    video.currentTime = c.start;
+    video.play().catch(function(){});
+  }
+
+  document.getElementById("showInk").onchange = function(e){ ink.style.display = e.target.checked ? "" : "none"; };
+  if (data.clips.length) show(0);
+})();
+</script>
+</body>
+</html>`;
 }
 
 // -------------------------
-// Project import/export
+// Modal dialog
 // -------------------------
-function exportProject(){
-  downloadText("coachboard_project.json", JSON.stringify(state, null, 2), "application/json");
-  setStatus("Exported project JSON.");
+// Small shared dialog: title, HTML body, and action buttons ({label, primary?, danger?, onClick(modalEl)}).
+function openModal(title, bodyHtml, actions = []){
+  closeModal();
+  const root = document.createElement("div");
+  root.className = "modal";
+  root.id = "modal";
+  root.innerHTML = `
+    <div class="modal__card card stack" role="dialog" aria-modal="true" aria-label="${escapeHtml(title)}">
+      <div class="row space-between">
+        <div class="title">${escapeHtml(title)}</div>
+        <button class="modal__close" data-close title="Close" aria-label="Close">×</button>
+      </div>
+      <div class="modal__body stack">${bodyHtml}</div>
+      <div class="row wrap modal__actions"></div>
+    </div>
+  `;
+  const bar = root.querySelector(".modal__actions");
+  for (const a of actions){
+    const btn = document.createElement("button");
+    btn.className = "btn" + (a.primary ? " btn--primary" : "") + (a.danger ? " btn--danger" : "");
+    btn.textContent = a.label;
+    btn.onclick = () => a.onClick(root);
+    bar.appendChild(btn);
+  }
+  const cancel = document.createElement("button");
+  cancel.className = "btn";
+  cancel.textContent = "Close";
+  cancel.onclick = closeModal;
+  bar.appendChild(cancel);
+
+  root.querySelector("[data-close]").onclick = closeModal;
+  root.addEventListener("click", (e) => { if (e.target === root) closeModal(); });
+  document.body.appendChild(root);
+  return root;
 }
 
-async function importProject(){
-  const file = await pickFile("application/json,.json");
-  if (!file) return;
-  const text = await file.text();
-  try {
-    const obj = JSON.parse(text);
-    if (!obj || typeof obj !== "object") throw new Error("bad");
-    if (!Array.isArray(obj.roster) || !Array.isArray(obj.timestamps)) throw new Error("shape");
-    state = {
-      projectId: obj.projectId ?? uidNumeric(),
-      youtubeUrl: obj.youtubeUrl ?? "",
-      youtubeId: obj.youtubeId ?? "",
-      roster: obj.roster ?? [],
-      timestamps: obj.timestamps ?? []
-    };
-    saveState();
-    $("ytUrl").value = state.youtubeUrl || "";
-    renderRosterTable();
-    renderTimestampList();
-    selectedTsId = null;
-    drawings = [];
-    redrawAll();
-    if (state.youtubeId) {
-      if (playerReady && player?.cueVideoById) player.cueVideoById(state.youtubeId);
-      else pendingVideoId = state.youtubeId;
-    }
-    setStatus("Imported project JSON.");
-  } catch {
-    setStatus("Import failed: invalid project JSON.");
-  }
+function closeModal(){
+  $("modal")?.remove();
 }
 
 // -------------------------
@@ -751,6 +5579,220 @@ function setStatus(msg){
 }
 
 
+// -------------------------
+// Keyboard shortcuts
+// -------------------------
+// Rebindable actions. `keys` are the defaults; settings.shortcuts holds overrides by action id.
+// Combos look like "j", "Space", "Shift+ArrowLeft", "Ctrl+Shift+z" (see keyCombo).
+const SHORTCUTS = [
+  {id: "playPause", group: "Playback", label: "Play / pause", keys: ["Space"], player: true, run: () => togglePlay()},
+  {id: "shuttleReverse", group: "Playback", label: "Rewind (repeat for faster; K+J: frame back)", keys: ["j"], player: true, run: () => kHeld ? stepFrame(-1) : shuttleReverse()},
+  {id: "shuttleStop", group: "Playback", label: "Stop (hold for frame steps)", keys: ["k"], player: true, run: () => { kHeld = true; stopShuttle(); }},
+  {id: "shuttleForward", group: "Playback", label: "Play forward (repeat for faster; K+L: frame forward)", keys: ["l"], player: true, run: () => kHeld ? stepFrame(1) : shuttleForward()},
+  {id: "stepBack", group: "Playback", label: "Back 1s", keys: ["ArrowLeft"], player: true, run: () => stepBy(-1)},
+  {id: "stepForward", group: "Playback", label: "Forward 1s", keys: ["ArrowRight"], player: true, run: () => stepBy(1)},
+  {id: "fineBack", group: "Playback", label: "Back 0.1s", keys: ["Shift+ArrowLeft"], player: true, run: () => stepBy(-0.1)},
+  {id: "fineForward", group: "Playback", label: "Forward 0.1s", keys: ["Shift+ArrowRight"], player: true, run: () => stepBy(0.1)},
+  {id: "stepSizeBack", group: "Playback", label: "Back by step size", keys: [], player: true, run: () => stepBy(-settings.stepSize)},
+  {id: "stepSizeForward", group: "Playback", label: "Forward by step size", keys: [], player: true, run: () => stepBy(settings.stepSize)},
+  {id: "frameBack", group: "Playback", label: "Previous frame", keys: [","], player: true, run: () => stepFrame(-1)},
+  {id: "frameForward", group: "Playback", label: "Next frame", keys: ["."], player: true, run: () => stepFrame(1)},
+
+  {id: "addTimestamp", group: "Timestamps", label: "Add timestamp at current time", keys: ["t"], player: true, run: () => addTimestampAtCurrent()},
+  {id: "prevTimestamp", group: "Timestamps", label: "Previous timestamp", keys: ["Alt+ArrowUp"], run: () => selectAdjacentTimestamp(-1)},
+  {id: "nextTimestamp", group: "Timestamps", label: "Next timestamp", keys: ["Alt+ArrowDown"], run: () => selectAdjacentTimestamp(1)},
+  {id: "markIn", group: "Timestamps", label: "Mark in", keys: ["i"], player: true, run: () => markIn()},
+  {id: "markOut", group: "Timestamps", label: "Mark out", keys: ["o"], player: true, run: () => markOut()},
+  {id: "save", group: "Timestamps", label: "Save timestamp edits", keys: ["s"], run: () => { saveTimestampEdits(); saveState(); }},
+
+  {id: "toggleDraw", group: "Drawing", label: "Toggle drawing", keys: ["d"], run: () => $("drawToggleBtn").click()},
+  ...[1, 2, 3, 4, 5].map(n => ({
+    id: `color${n}`, group: "Drawing", label: `Color ${n} (while drawing is on)`, keys: [`Shift+${n}`],
+    when: () => drawEnabled, run: () => document.querySelectorAll(".swatch")[n - 1]?.click()
+  })),
+  {id: "deleteDrawing", group: "Drawing", label: "Delete selected drawing", keys: ["Delete", "Backspace"], when: () => !!selectedDrawingId, run: () => deleteSelectedDrawing()},
+  {id: "undo", group: "Drawing", label: "Undo", keys: ["Ctrl+z"], run: () => undo()},
+  {id: "redo", group: "Drawing", label: "Redo", keys: ["Ctrl+Shift+z", "Ctrl+y"], run: () => redo()},
+
+  {id: "help", group: "General", label: "Show this list", keys: ["?"], run: () => openShortcutHelp()}
+];
+
+const JERSEY_ENTRY_MS = 2500; // typed jersey digits are dropped after this pause
+let jerseyEntry = null; // {digits, timer} while a jersey number is being typed
+let shortcutCapture = null; // action id waiting for its new key in the help dialog
+
+// Printable keys ignore Shift ("?" not "Shift+/") unless another modifier is held.
+// Shift+digit is "Shift+1" whatever character the layout puts on that key.
+function keyCombo(e){
+  const digit = e.shiftKey && /^Digit\d$/.test(e.code) ? e.code.slice(5) : "";
+  const key = digit || (e.key === " " ? "Space" : e.key.length === 1 ? e.key.toLowerCase() : e.key);
+  const mods = [];
+  if (e.ctrlKey || e.metaKey) mods.push("Ctrl");
+  if (e.altKey) mods.push("Alt");
+  if (e.shiftKey && (digit || e.key.length > 1 || mods.length)) mods.push("Shift");
+  return [...mods, key].join("+");
+}
+
+const KEY_NAMES = {ArrowLeft: "←", ArrowRight: "→", ArrowUp: "↑", ArrowDown: "↓", Escape: "Esc"};
+
+function fmtCombo(combo){
+  return combo.split("+").map(k => KEY_NAMES[k] || (k.length === 1 ? k.toUpperCase() : k)).join("+");
+}
+
+function shortcutKeys(action){
+  return settings.shortcuts[action.id] ?? action.keys;
+}
+
+function findShortcut(combo){
+  return SHORTCUTS.find(a => shortcutKeys(a).includes(combo) && (!a.when || a.when()));
+}
+
+// Moves through the list as filtered; with nothing selected, starts from the current video time.
+function selectAdjacentTimestamp(dir){
+  const list = getFilteredTimestamps();
+  if (!list.length) return;
+  let idx = list.findIndex(t => t.id === selectedTsId);
+  if (idx < 0){
+    const now = player ? player.getTime() : 0;
+    idx = dir > 0 ? list.findIndex(t => t.time > now + 0.05) : list.findLastIndex(t => t.time < now - 0.05);
+    if (idx < 0) idx = dir > 0 ? 0 : list.length - 1;
+  } else {
+    idx = Math.min(list.length - 1, Math.max(0, idx + dir));
+  }
+  stopReel();
+  selectTimestamp(list[idx].id);
+  jumpToSelected();
+}
+
+// Digits nobody else claims build a jersey number; Enter tags that athlete on the selected timestamp.
+function handleJerseyEntry(e){
+  if (jerseyEntry){
+    if (e.key === "Enter"){ e.preventDefault(); commitJerseyEntry(); return true; }
+    if (e.key === "Escape"){ cancelJerseyEntry("Jersey entry cancelled."); return true; }
+    if (e.key === "Backspace"){
+      e.preventDefault();
+      jerseyEntry.digits = jerseyEntry.digits.slice(0, -1);
+      if (jerseyEntry.digits) showJerseyEntry(); else cancelJerseyEntry("Jersey entry cancelled.");
+      return true;
+    }
+  }
+  if (!/^[0-9]$/.test(e.key) || e.ctrlKey || e.metaKey || e.altKey) return false;
+  if (!jerseyEntry) jerseyEntry = {digits: "", timer: null};
+  jerseyEntry.digits += e.key;
+  showJerseyEntry();
+  return true;
+}
+
+function showJerseyEntry(){
+  clearTimeout(jerseyEntry.timer);
+  jerseyEntry.timer = setTimeout(() => cancelJerseyEntry(""), JERSEY_ENTRY_MS);
+  setStatus(`Tag #${jerseyEntry.digits} — press Enter${selectedTsId ? "" : " (select a timestamp first)"}.`);
+}
+
+function cancelJerseyEntry(msg){
+  if (!jerseyEntry) return;
+  clearTimeout(jerseyEntry.timer);
+  jerseyEntry = null;
+  if (msg) setStatus(msg);
+}
+
+function commitJerseyEntry(){
+  const jersey = jerseyEntry.digits;
+  cancelJerseyEntry("");
+  const ts = state.timestamps.find(t => t.id === selectedTsId);
+  if (!ts){ setStatus("Select a timestamp before tagging by jersey."); return; }
+  // the tag picker's team filter decides between players sharing a number
+  const matches = state.roster.filter(a => String(a.jersey).trim() === jersey && teamFilterMatch(a, athleteTeamFilter));
+  if (!matches.length){ setStatus(`No athlete wears #${jersey}.`); return; }
+  if (matches.length > 1){
+    setStatus(`#${jersey} matches ${matches.length} athletes (${matches.map(teamName).filter(Boolean).join(", ") || "no team"}) — pick a team in the tag picker.`);
+    return;
+  }
+  const tagged = toggleAthleteTag(ts, matches[0]);
+  setStatus(`${tagged ? "Tagged" : "Untagged"} ${rosterLabel(matches[0])}.`);
+}
+
+function handleShortcutKey(e){
+  const action = findShortcut(keyCombo(e));
+  // while a number is being typed, digits/Enter/Backspace belong to it
+  if ((jerseyEntry || !action) && handleJerseyEntry(e)) return;
+  if (!action || (action.player && !player)) return;
+  e.preventDefault();
+  action.run(e);
+}
+
+function setShortcut(id, keys){
+  const action = SHORTCUTS.find(a => a.id === id);
+  if (keys.join("|") === action.keys.join("|")) delete settings.shortcuts[id];
+  else settings.shortcuts[id] = keys;
+  saveSettings();
+}
+
+function openShortcutHelp(){
+  shortcutCapture = null;
+  const groups = [...new Set(SHORTCUTS.map(a => a.group))];
+  const keyPills = (a) => shortcutKeys(a).map(k => `<kbd>${escapeHtml(fmtCombo(k))}</kbd>`).join(" ") || `<span class="muted">—</span>`;
+  const modal = openModal("Keyboard shortcuts", `
+    <div class="muted">Shortcuts work when no text box has focus. Click Change, then press the new key (Esc cancels).</div>
+    <div class="muted" id="shortcutNote"></div>
+    ${groups.map(g => `
+      <div class="subhead">${g}</div>
+      <div class="athResults shortcutList">
+        ${SHORTCUTS.filter(a => a.group === g).map(a => `
+          <div class="athRow" data-action="${a.id}">
+            <div class="athLabel"><div class="athMain">${escapeHtml(a.label)}</div></div>
+            <div class="row shortcutKeys">
+              <span data-keys>${keyPills(a)}</span>
+              <button class="btn" data-change>Change</button>
+              <button class="btn" data-clear title="Remove this shortcut">×</button>
+            </div>
+          </div>`).join("")}
+        ${g === "Timestamps" ? `
+          <div class="athRow">
+            <div class="athLabel"><div class="athMain">Tag athlete by jersey</div><div class="athSub">Type the number, then Enter (digits used for colors only while drawing is on)</div></div>
+            <div class="row shortcutKeys"><kbd>0–9</kbd> <kbd>Enter</kbd></div>
+          </div>` : ""}
+      </div>`).join("")}
+  `, [{label: "Reset to defaults", onClick: () => {
+    settings.shortcuts = {};
+    saveSettings();
+    openShortcutHelp();
+  }}]);
+  modal.querySelector(".modal__card").classList.add("modal__card--wide");
+
+  const refresh = () => modal.querySelectorAll("[data-action]").forEach(row => {
+    const a = SHORTCUTS.find(x => x.id === row.dataset.action);
+    row.querySelector("[data-keys]").innerHTML = shortcutCapture === a.id ? `<span class="pill">Press a key…</span>` : keyPills(a);
+    row.classList.toggle("is-capturing", shortcutCapture === a.id);
+  });
+
+  modal.querySelectorAll("[data-action]").forEach(row => {
+    const id = row.dataset.action;
+    row.querySelector("[data-change]").onclick = () => { shortcutCapture = id; refresh(); };
+    row.querySelector("[data-clear]").onclick = () => { setShortcut(id, []); shortcutCapture = null; refresh(); };
+  });
+
+  // Runs before the window handler, so Esc cancels a capture instead of closing the dialog.
+  modal.addEventListener("keydown", (e) => {
+    if (!shortcutCapture) return;
+    e.preventDefault();
+    e.stopPropagation();
+    if (["Shift", "Control", "Alt", "Meta"].includes(e.key)) return;
+    const id = shortcutCapture;
+    shortcutCapture = null;
+    if (e.key !== "Escape"){
+      const combo = keyCombo(e);
+      // a key does one thing: take it away from whichever action had it
+      const taken = SHORTCUTS.filter(a => a.id !== id && shortcutKeys(a).includes(combo));
+      for (const other of taken) setShortcut(other.id, shortcutKeys(other).filter(k => k !== combo));
+      setShortcut(id, [combo]);
+      modal.querySelector("#shortcutNote").textContent = taken.length
+        ? `${fmtCombo(combo)} was moved from "${taken.map(a => a.label).join('", "')}".` : "";
+    }
+    refresh();
+  });
+}
+
 function updateActiveColorUI(){
   // Works for either <select id="colorSel"> or swatches
   const sel = $("colorSel");
@@ -771,6 +5813,8 @@ function bindUI(){
   // tabs
   $("tab-film").onclick = () => setTab("film");
   $("tab-roster").onclick = () => setTab("roster");
+  $("tab-reels").onclick = () => setTab("reels");
+  $("tab-projects").onclick = () => setTab("projects");
 
   $("goRosterBtn").onclick = () => setTab("roster");
 
@@ -789,15 +5833,40 @@ function bindUI(){
   if (dot) dot.style.background = selectedColor;
 
 
-  // project import/export
+  // project library + import/export
   $("btn-new-project").onclick = newProject;
+  $("btn-create-project").onclick = newProject;
 
   $("btn-export-project").onclick = exportProject;
+  $("btn-export-timestamps").onclick = openTimestampExport;
+  $("btn-import-timestamps").onclick = importTimestamps;
+  $("btn-export-report").onclick = openReportDialog;
+  $("btn-live").onclick = openLiveSession;
+  $("presentBtn").onclick = openAudienceWindow;
   $("btn-import-project").onclick = importProject;
+  $("btn-merge-project").onclick = mergeProject;
+
+  // storage: failed-save banner, and flush queued writes before the tab goes away
+  $("saveWarningExport").onclick = exportProject;
+  $("saveWarningRetry").onclick = flushSaves;
+  document.addEventListener("visibilitychange", () => { if (document.visibilityState === "hidden") flushSaves(); });
+  window.addEventListener("pagehide", flushSaves);
+  window.addEventListener("beforeunload", (e) => {
+    flushSaves(); // a write it starts still lands after the page is gone
+    if (!hasUnsavedChanges()) return;
+    e.preventDefault();
+    e.returnValue = "";
+  });
 
   // roster actions
   $("btn-add-athlete").onclick = addAthlete;
+  $("btn-add-team").onclick = addTeam;
   $("rosterSearch").addEventListener("input", renderRosterTable);
+  $("rosterTeamFilter").addEventListener("change", (e) => {
+    rosterTeamFilter = e.target.value;
+    renderTeamSelects();
+    renderRosterTable();
+  });
   $("btn-export-roster").onclick = exportRosterCSV;
   $("btn-import-roster").onclick = importRosterCSV;
   $("btn-clear-roster").onclick = clearRoster;
@@ -810,39 +5879,56 @@ function bindUI(){
 
     state.youtubeUrl = url;
     state.youtubeId = id;
+    state.videoSource = "youtube";
     saveState();
 
     // If the user loads a video before the YouTube player is ready, queue it.
-    if (!playerReady || !player?.cueVideoById){
+    if (!playerReady || !ytPlayer?.cueVideoById){
       pendingVideoId = id;
       setStatus("Loading queued — player is still initializing...");
       return;
     }
 
-    player.cueVideoById(id);
+    ytPlayer.cueVideoById(id);
+    useVideoSource("youtube");
     setStatus(`Loaded videoId: ${id}`);
-    setTimeout(resizeCanvas, 60);
   };
+  $("openFileBtn").onclick = openLocalVideo;
 
-  $("playBtn").onclick = () => player?.playVideo?.();
-  $("pauseBtn").onclick = () => player?.pauseVideo?.();
+  $("playBtn").onclick = () => { if (player && !player.isPlaying()) togglePlay(); };
+  $("pauseBtn").onclick = () => stopShuttle();
 
   $("muteBtn")?.addEventListener("click", () => {
     if (!player) return;
-    const muted = player.isMuted?.() ?? true;
-    muted ? player.unMute?.() : player.mute?.();
+    const muted = !player.isMuted();
+    player.setMuted(muted);
+    $("muteBtn").classList.toggle("is-unmuted", !muted);
   });
 
-  $("fwdBtn").onclick = () => {
-    if (!player) return;
-    player.seekTo(player.getCurrentTime() + DEFAULT_STEP, true);
-  };
-  $("backBtn").onclick = () => {
-    if (!player) return;
-    player.seekTo(Math.max(0, player.getCurrentTime() - DEFAULT_STEP), true);
-  };
+  $("fwdBtn").onclick = () => stepBy(settings.stepSize);
+  $("backBtn").onclick = () => stepBy(-settings.stepSize);
+  document.querySelectorAll("[data-step]").forEach(btn => {
+    btn.onclick = () => stepBy(Number(btn.dataset.step));
+  });
+  $("frameBackBtn").onclick = () => stepFrame(-1);
+  $("frameFwdBtn").onclick = () => stepFrame(1);
+  $("speedSel").innerHTML = PLAYBACK_RATES.map(r => `<option value="${r}">${fmtRate(r)}</option>`).join("");
+  $("speedSel").addEventListener("change", (e) => setPlaybackRate(Number(e.target.value)));
+  $("stepSizeInput").addEventListener("change", (e) => {
+    const v = Number(e.target.value);
+    if (Number.isFinite(v) && v >= 0.1 && v <= 60) setStepSize(v);
+    else updateSpeedUI();
+  });
+  $("fpsSel").addEventListener("change", (e) => {
+    settings.frameRate = Number(e.target.value);
+    saveSettings();
+  });
 
   $("addTsBtn").onclick = addTimestampAtCurrent;
+  $("markInBtn").onclick = markIn;
+  $("markOutBtn").onclick = markOut;
+  $("loopBtn").onclick = stopLoop;
+  $("clearRangeBtn").onclick = clearRange;
 
   const colorSel = $("colorSel");
   if (colorSel){
@@ -863,6 +5949,7 @@ function bindUI(){
       document.querySelectorAll(".swatch").forEach(b => b.classList.remove("is-active"));
       btn.classList.add("is-active");
       updateActiveColorUI();
+      if (selectedDrawingId) recolorSelectedDrawing(selectedColor);
     });
   });
 
@@ -875,19 +5962,85 @@ function bindUI(){
     setStatus(drawEnabled ? "Drawing enabled." : "Drawing disabled.");
   };
 
+  document.querySelectorAll("#toolRow [data-tool]").forEach(btn => {
+    btn.addEventListener("click", () => {
+      selectedTool = btn.dataset.tool;
+      document.querySelectorAll("#toolRow [data-tool]").forEach(b => b.classList.toggle("is-active", b === btn));
+      if (selectedTool !== "select"){
+        selectedDrawingId = null;
+        redrawAll();
+      }
+    });
+  });
+
+  $("syncDrawBtn").onclick = () => {
+    syncDraw = !syncDraw;
+    $("syncDrawBtn").classList.toggle("btn--primary", syncDraw);
+    $("syncDrawBtn").textContent = `Sync: ${syncDraw ? "On" : "Off"}`;
+    setStatus(syncDraw ? "New drawings appear at the current video time and build while the clip plays." : "New drawings are always shown.");
+  };
+  $("sequenceDrawBtn").onclick = sequenceDrawings;
+  $("timingFromBtn").onclick = () => updateSelectedTiming(d => {
+    d.showFrom = player ? player.getTime() : 0;
+    if (d.showUntil != null && d.showUntil <= d.showFrom) d.showUntil = null;
+  });
+  $("timingUntilBtn").onclick = () => updateSelectedTiming(d => {
+    const now = player ? player.getTime() : 0;
+    if (!hasTiming(d) || d.showFrom >= now) d.showFrom = Math.max(0, now - 3);
+    d.showUntil = now;
+  });
+  $("timingAnimateChk").onchange = () => updateSelectedTiming(d => {
+    d.animate = $("timingAnimateChk").checked;
+    if (d.animate && !hasTiming(d)) d.showFrom = player ? player.getTime() : 0;
+  });
+  $("timingClearBtn").onclick = () => updateSelectedTiming(d => {
+    delete d.showFrom;
+    delete d.showUntil;
+    delete d.animate;
+  });
+
   $("clearDrawBtn").onclick = () => {
     if (!selectedTsId) return;
     const ts = state.timestamps.find(t => t.id === selectedTsId);
     if (!ts) return;
+    pushHistory();
     ts.drawings = [];
     drawings = [];
+    selectedDrawingId = null;
     saveState();
     redrawAll();
     setStatus("Cleared drawings for selected timestamp.");
   };
 
+  // reels
+  $("btn-reel-from-filter").onclick = createReelFromFilter;
+  $("btn-reel-empty").onclick = () => createReel([], "New reel");
+  $("reelName").addEventListener("change", () => renameReel(selectedReelId, $("reelName").value));
+  $("reelPickSearch").addEventListener("input", renderReelEditor);
+  $("btn-reel-play").onclick = () => playReel(selectedReelId);
+  $("btn-reel-delete").onclick = () => deleteReel(selectedReelId);
+  $("reelPrevBtn").onclick = () => stepReel(-1);
+  $("reelNextBtn").onclick = () => stepReel(1);
+  $("reelStopBtn").onclick = () => { stopReel(); player?.pause(); setStatus("Reel stopped."); };
+
   // timestamp editor
   $("saveTsBtn").onclick = saveTimestampEdits;
+  $("tsNotesPrivate").onchange = (e) => setNotesPrivate(e.target.checked);
+  $("postCommentBtn").onclick = postComment;
+  $("commentText").addEventListener("keydown", (e) => {
+    if (e.key === "Enter" && (e.ctrlKey || e.metaKey)){ e.preventDefault(); postComment(); }
+  });
+  $("commentReplyPill").onclick = () => { replyingTo = null; renderComments(); };
+  $("openCommentsBtn").onclick = () => {
+    openCommentsOnly = !openCommentsOnly;
+    updateOpenCommentsBtn();
+    renderTimestampList();
+  };
+  $("profileBtn").onclick = () => openProfileDialog();
+  $("btn-export-package").onclick = () => openPackageDialog();
+  $("undoBtn").onclick = undo;
+  $("redoBtn").onclick = redo;
+  $("deleteShapeBtn").onclick = deleteSelectedDrawing;
   $("deleteTsBtn").onclick = deleteTimestamp;
   $("jumpTsBtn").onclick = jumpToSelected;
 
@@ -896,38 +6049,72 @@ function bindUI(){
 $("clearFilterBtn").onclick = () => { $("tsFilter").value=""; renderTimestampList(); $("tsFilter").focus(); updateFilterX(); };
 
   $("athSearch").addEventListener("input", renderAthleteSearchResults);
+  $("athTeamFilter").addEventListener("change", (e) => {
+    athleteTeamFilter = e.target.value;
+    renderAthleteSearchResults();
+  });
+
+  // tag taxonomy
+  $("tagFilterBtn").onclick = () => {
+    const panel = $("tagFilterPanel");
+    panel.style.display = panel.style.display === "none" ? "" : "none";
+  };
+  $("tagFilterMode").onchange = () => { tagFilter.mode = $("tagFilterMode").value; renderTimestampList(); };
+  $("tagFilterClear").onclick = () => { tagFilter.selected.clear(); renderTagFilter(); renderTimestampList(); };
+  $("editTagCatsBtn").onclick = openTagCategoryEditor;
 
-  // keyboard shortcuts (film study-ish)
+  // keyboard shortcuts (see SHORTCUTS)
+  $("shortcutsBtn").onclick = openShortcutHelp;
   window.addEventListener("keydown", (e) => {
+    if (e.key === "Escape" && $("modal")){ closeModal(); return; }
+    if ($("modal")) return; // dialogs own the keyboard
     if (e.target && ["INPUT","TEXTAREA","SELECT"].includes(e.target.tagName)) return;
-    if (!player) return;
 
-    if (e.key === " "){ // space
-      e.preventDefault();
-      const st = player.getPlayerState?.();
-      if (st === 1) player.pauseVideo(); else player.playVideo();
-    }
-    if (e.key.toLowerCase() === "j"){ player.seekTo(Math.max(0, player.getCurrentTime()-DEFAULT_STEP), true); }
-    if (e.key.toLowerCase() === "l"){ player.seekTo(player.getCurrentTime()+DEFAULT_STEP, true); }
-    if (e.key.toLowerCase() === "k"){ player.pauseVideo(); }
+    handleShortcutKey(e);
   });
+  window.addEventListener("keyup", (e) => {
+    const stop = SHORTCUTS.find(a => a.id === "shuttleStop");
+    if (shortcutKeys(stop).includes(keyCombo(e))) kHeld = false;
+  });
+  window.addEventListener("blur", () => { kHeld = false; });
 }
 
 // -------------------------
 // Init
 // -------------------------
-function init(){
+async function init(){
+  if (IS_AUDIENCE){ initAudience(); return; }
+  loadSettings();
+  let storageMsg = "";
+  try {
+    await openStorage();
+    storageMsg = await migrateFromLocalStorage();
+  } catch (err){
+    reportSaveFailure(err); // keeps working in memory; export is the way out
+  }
   loadState();
-  $("ytUrl").value = state.youtubeUrl || "";
 
   bindUI();
-  renderRosterTable();
-  renderTimestampList();
-  renderAthleteSearchResults();
-
+  initPresenter();
+  renderProfilePill();
+  updateSpeedUI();
+  bindLocalVideoEvents();
+  const unsorted = state.teams.some(t => t.kind === "unknown");
+  refreshProjectUI(storageMsg || (unsorted ? "Some teams have no side yet: set Our team or Opponent in the Roster tab." : ""));
+  updateStorageMeter();
   injectYouTubeApi();
   setTimeout(resizeCanvas, 60);
 
+  updateLoopUI();
+  setInterval(() => { checkLoop(); checkReel(); }, 100);
+  requestAnimationFrame(telestrationTick);
+
+  // time pill
+  setInterval(() => {
+    if (!player) return;
+    $("curTime").textContent = fmtTime(player.getTime(), true);
+  }, 250);
+
   canvas.style.pointerEvents = "none";
 }
 
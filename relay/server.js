@@ -0,0 +1,201 @@
+// Coachboard live session relay - zero dependencies, plain Node (16+).
+// Run: node relay/server.js            (listens on ws://0.0.0.0:8787)
+//      PORT=9000 node relay/server.js
+// Clients connect to ws://host:port/<room>; every JSON message is passed on to the
+// other clients in the same room. The relay keeps no project data of its own.
+//
+// Relay -> client messages:
+//   {type: "welcome", id, peers: [id]}   on connect (id is this client's)
+//   {type: "join", from}                 another client entered the room
+//   {type: "leave", from}                another client left
+// Client messages get `from` set to the sender's id. A `to` field sends to one client only.
+
+"use strict";
+
+const http = require("http");
+const crypto = require("crypto");
+
+const PORT = Number(process.env.PORT) || 8787;
+const HOST = process.env.HOST || "0.0.0.0";
+const WS_GUID = "258EAFA5-E914-47DA-95CA-C5AB0DC85B11"; // RFC 6455 handshake constant
+const MAX_MESSAGE = 32 * 1024 * 1024; // bytes; drawings with many points can get large
+const PING_EVERY = 30000; // ms; also drops clients that stopped answering
+
+const rooms = new Map(); // room name -> Map(client id -> client)
+let nextId = 1;
+
+// -------------------------
+// Frames
+// -------------------------
+function encodeFrame(opcode, payload){
+  const len = payload.length;
+  let head;
+  if (len < 126){
+    head = Buffer.from([0x80 | opcode, len]);
+  } else if (len < 65536){
+    head = Buffer.alloc(4);
+    head[0] = 0x80 | opcode;
+    head[1] = 126;
+    head.writeUInt16BE(len, 2);
+  } else {
+    head = Buffer.alloc(10);
+    head[0] = 0x80 | opcode;
+    head[1] = 127;
+    head.writeBigUInt64BE(BigInt(len), 2);
+  }
+  return Buffer.concat([head, payload]);
+}
+
+// Pull complete frames off the front of `buf`. Returns {frames, rest} or null on a protocol error.
+function decodeFrames(buf){
+  const frames = [];
+  let off = 0;
+  while (buf.length - off >= 2){
+    const fin = (buf[off] & 0x80) !== 0;
+    const opcode = buf[off] & 0x0f;
+    const masked = (buf[off + 1] & 0x80) !== 0;
+    let len = buf[off + 1] & 0x7f;
+    let pos = off + 2;
+    if (len === 126){
+      if (buf.length - pos < 2) break;
+      len = buf.readUInt16BE(pos);
+      pos += 2;
+    } else if (len === 127){
+      if (buf.length - pos < 8) break;
+      const big = buf.readBigUInt64BE(pos);
+      if (big > BigInt(MAX_MESSAGE)) return null;
+      len = Number(big);
+      pos += 8;
+    }
+    if (!masked || len > MAX_MESSAGE) return null; // clients must mask (RFC 6455 5.1)
+    if (buf.length - pos < 4 + len) break;
+    const mask = buf.subarray(pos, pos + 4);
+    pos += 4;
+    const payload = Buffer.from(buf.subarray(pos, pos + len));
+    for (let i = 0; i < payload.length; i++) payload[i] ^= mask[i & 3];
+    frames.push({fin, opcode, payload});
+    off = pos + len;
+  }
+  return {frames, rest: buf.subarray(off)};
+}
+
+// -------------------------
+// Clients and rooms
+// -------------------------
+function send(client, obj){
+  if (client.socket.destroyed) return;
+  client.socket.write(encodeFrame(0x1, Buffer.from(JSON.stringify(obj))));
+}
+
+function broadcast(room, obj, exceptId){
+  for (const c of rooms.get(room)?.values() || []){
+    if (c.id !== exceptId) send(c, obj);
+  }
+}
+
+function leave(client){
+  const members = rooms.get(client.room);
+  if (!members?.delete(client.id)) return;
+  if (!members.size) rooms.delete(client.room);
+  broadcast(client.room, {type: "leave", from: client.id});
+  console.log(`[${client.room}] client ${client.id} left (${members.size} left in room)`);
+}
+
+function handleMessage(client, text){
+  let msg;
+  try { msg = JSON.parse(text); } catch { return; }
+  if (!msg || typeof msg !== "object" || Array.isArray(msg)) return;
+  msg.from = client.id;
+  if (msg.to !== undefined){
+    const target = rooms.get(client.room)?.get(Number(msg.to));
+    if (target) send(target, msg);
+    return;
+  }
+  broadcast(client.room, msg, client.id);
+}
+
+function handleData(client, chunk){
+  client.buffer = client.buffer.length ? Buffer.concat([client.buffer, chunk]) : chunk;
+  const decoded = decodeFrames(client.buffer);
+  if (!decoded){ client.socket.destroy(); return; }
+  client.buffer = decoded.rest;
+
+  for (const {fin, opcode, payload} of decoded.frames){
+    if (opcode === 0x8){ // close
+      client.socket.end(encodeFrame(0x8, Buffer.alloc(0)));
+      return;
+    }
+    if (opcode === 0x9){ client.socket.write(encodeFrame(0xA, payload)); continue; } // ping -> pong
+    if (opcode === 0xA){ client.alive = true; continue; }
+    if (opcode === 0x1){
+      client.parts = [payload];
+      client.partsSize = payload.length;
+    } else if (opcode === 0x0 && client.parts){ // continuation
+      client.parts.push(payload);
+      client.partsSize += payload.length;
+    } else continue; // binary frames aren't used
+    if (client.partsSize > MAX_MESSAGE){ client.socket.destroy(); return; }
+    if (!fin) continue;
+    const text = Buffer.concat(client.parts).toString("utf8");
+    client.parts = null;
+    handleMessage(client, text);
+  }
+}
+
+// -------------------------
+// Server
+// -------------------------
+const server = http.createServer((req, res) => {
+  res.writeHead(200, {"Content-Type": "text/plain"});
+  const counts = Array.from(rooms, ([name, members]) => `  ${name}: ${members.size}`).join("\n");
+  res.end(`Coachboard relay. Connect with ws://<host>:${PORT}/<room>.\n${counts ? `Rooms:\n${counts}\n` : "No open rooms.\n"}`);
+});
+
+server.on("upgrade", (req, socket) => {
+  const key = req.headers["sec-websocket-key"];
+  let room;
+  try {
+    room = decodeURIComponent(new URL(req.url, "http://relay").pathname.slice(1)) || "default";
+  } catch { // malformed %-escapes in the path
+    room = null;
+  }
+  if (!key || !room || String(req.headers.upgrade).toLowerCase() !== "websocket"){
+    socket.end("HTTP/1.1 400 Bad Request\r\n\r\n");
+    return;
+  }
+  const accept = crypto.createHash("sha1").update(key + WS_GUID).digest("base64");
+  socket.write([
+    "HTTP/1.1 101 Switching Protocols",
+    "Upgrade: websocket",
+    "Connection: Upgrade",
+    `Sec-WebSocket-Accept: ${accept}`,
+    "", ""
+  ].join("\r\n"));
+  socket.setNoDelay(true);
+
+  const client = {id: nextId++, room, socket, buffer: Buffer.alloc(0), parts: null, partsSize: 0, alive: true};
+  if (!rooms.has(room)) rooms.set(room, new Map());
+  const members = rooms.get(room);
+  send(client, {type: "welcome", id: client.id, peers: Array.from(members.keys())});
+  broadcast(room, {type: "join", from: client.id});
+  members.set(client.id, client);
+  console.log(`[${room}] client ${client.id} joined (${members.size} in room)`);
+
+  socket.on("data", (chunk) => handleData(client, chunk));
+  socket.on("close", () => leave(client));
+  socket.on("error", () => socket.destroy());
+});
+
+setInterval(() => {
+  for (const members of rooms.values()){
+    for (const c of members.values()){
+      if (!c.alive){ c.socket.destroy(); continue; }
+      c.alive = false;
+      c.socket.write(encodeFrame(0x9, Buffer.alloc(0)));
+    }
+  }
+}, PING_EVERY).unref();
+
+server.listen(PORT, HOST, () => {
+  console.log(`Coachboard relay listening on ws://${HOST}:${PORT}/<room>`);
+});